@@ -3,6 +3,20 @@ import { logger } from './logger.mjs';
 
 const AUDIT_LOG_FILE = 'audit.jsonl';
 
+/**
+ * Append one entry to the audit log
+ * @param {Object} entry
+ * @returns {Promise<void>}
+ */
+async function appendEntry(entry) {
+  try {
+    await fs.appendFile(AUDIT_LOG_FILE, JSON.stringify(entry) + '\n');
+    logger.debug('Audit log written', { jobId: entry.jobId, action: entry.action, user: entry.user });
+  } catch (err) {
+    logger.error('Failed to write audit log', { error: err.message, entry });
+  }
+}
+
 /**
  * Log a crawl operation for audit purposes
  * @param {Object} data - Audit log data
@@ -15,21 +29,34 @@ export async function logCrawl({
   user = 'anonymous',
   action = 'crawl'
 }) {
-  const entry = {
+  await appendEntry({
     timestamp: new Date().toISOString(),
     jobId,
     host,
     recordsFound,
     user,
     action
-  };
-  
-  try {
-    await fs.appendFile(AUDIT_LOG_FILE, JSON.stringify(entry) + '\n');
-    logger.debug('Audit log written', { jobId, host, recordsFound });
-  } catch (err) {
-    logger.error('Failed to write audit log', { error: err.message, entry });
-  }
+  });
+}
+
+/**
+ * Log a user action (job created, export, login, ...) for audit purposes
+ * @param {Object} data - Action, user and any details worth keeping
+ * @returns {Promise<void>}
+ */
+export async function logEvent({
+  action,
+  user = 'anonymous',
+  jobId = null,
+  ...details
+}) {
+  await appendEntry({
+    timestamp: new Date().toISOString(),
+    jobId,
+    user,
+    action,
+    ...details
+  });
 }
 
 /**
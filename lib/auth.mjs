@@ -0,0 +1,421 @@
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+import { logger } from './logger.mjs';
+
+const scrypt = promisify(crypto.scrypt);
+
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const SESSION_TTL = (parseInt(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60;
+const SESSION_COOKIE = 'session';
+
+const USERS_KEY = 'auth:users';     // hash: username -> user JSON
+const API_KEYS_KEY = 'auth:keys';   // hash: sha256(key) -> key JSON
+const USERNAME_PATTERN = /^[a-z0-9._-]{2,32}$/i;
+const ROLES = new Set(['admin', 'user']);
+
+// Failed logins allowed per window, per username and per client IP
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 10;
+const LOGIN_MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 30;
+const LOGIN_WINDOW = (parseInt(process.env.LOGIN_WINDOW_MINUTES) || 15) * 60;
+
+/**
+ * Redis key for a session (only the token hash is stored)
+ * @param {string} tokenHash
+ * @returns {string}
+ */
+function sessionKey(tokenHash) {
+  return `auth:session:${tokenHash}`;
+}
+
+/**
+ * Hash an API key or session token (high-entropy secrets, so SHA-256 is enough)
+ * @param {string} token
+ * @returns {string} Hex digest
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>"
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Verify a password against a stored scrypt hash
+ * @param {string} password
+ * @param {string} stored - Value from hashPassword
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hex] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hex) return false;
+  
+  const expected = Buffer.from(hex, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Public view of a user (never includes the password hash)
+ * @param {Object} user
+ * @returns {{username: string, role: string, createdAt: string}}
+ */
+function publicUser({ username, role, createdAt }) {
+  return { username, role, createdAt };
+}
+
+/**
+ * Create a user
+ * @param {Redis} redis
+ * @param {{username: string, password: string, role?: string}} data
+ * @returns {Promise<{valid: boolean, user?: Object, message?: string}>}
+ */
+export async function createUser(redis, { username, password, role = 'user' }) {
+  if (!USERNAME_PATTERN.test(username || '')) {
+    return { valid: false, message: 'Användarnamn måste vara 2-32 tecken (a-z, 0-9, . _ -)' };
+  }
+  if (!password || String(password).length < 8) {
+    return { valid: false, message: 'Lösenordet måste vara minst 8 tecken' };
+  }
+  if (!ROLES.has(role)) {
+    return { valid: false, message: 'Roll måste vara admin eller user' };
+  }
+  
+  const name = username.toLowerCase();
+  const user = {
+    username: name,
+    role,
+    passwordHash: await hashPassword(String(password)),
+    createdAt: new Date().toISOString()
+  };
+  
+  const created = await redis.hsetnx(USERS_KEY, name, JSON.stringify(user));
+  if (!created) {
+    return { valid: false, message: 'Användaren finns redan' };
+  }
+  
+  logger.info('User created', { username: name, role });
+  return { valid: true, user: publicUser(user) };
+}
+
+/**
+ * Get a user (including password hash)
+ * @param {Redis} redis
+ * @param {string} username
+ * @returns {Promise<Object|null>}
+ */
+async function getUser(redis, username) {
+  const json = await redis.hget(USERS_KEY, String(username).toLowerCase());
+  return json ? JSON.parse(json) : null;
+}
+
+/**
+ * List all users
+ * @param {Redis} redis
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listUsers(redis) {
+  const all = await redis.hvals(USERS_KEY);
+  return all.map(json => publicUser(JSON.parse(json)));
+}
+
+/**
+ * Check a username/password pair
+ * @param {Redis} redis
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<Object|null>} Public user, or null on failure
+ */
+export async function authenticatePassword(redis, username, password) {
+  if (!username || !password) return null;
+  
+  const user = await getUser(redis, username);
+  if (!user || !(await verifyPassword(String(password), user.passwordHash))) {
+    return null;
+  }
+  return publicUser(user);
+}
+
+function loginFailureKeys(username, ip) {
+  return [
+    `auth:login-failures:user:${String(username || '').toLowerCase()}`,
+    `auth:login-failures:ip:${ip || 'unknown'}`
+  ];
+}
+
+/**
+ * Check whether a login attempt is allowed
+ * Failures are counted per username and per IP; once either reaches its limit,
+ * attempts are refused until the window since the first failure has passed.
+ * @param {Redis} redis
+ * @param {string} username
+ * @param {string} ip
+ * @returns {Promise<{allowed: boolean, retryAfter?: number}>} retryAfter in seconds
+ */
+export async function checkLoginThrottle(redis, username, ip) {
+  const [userKey, ipKey] = loginFailureKeys(username, ip);
+  const [[, userFailures], [, ipFailures], [, userTtl], [, ipTtl]] = await redis
+    .multi()
+    .get(userKey)
+    .get(ipKey)
+    .ttl(userKey)
+    .ttl(ipKey)
+    .exec();
+  
+  const ttls = [];
+  if (Number(userFailures) >= LOGIN_MAX_FAILURES) ttls.push(userTtl);
+  if (Number(ipFailures) >= LOGIN_MAX_FAILURES_PER_IP) ttls.push(ipTtl);
+  if (ttls.length === 0) return { allowed: true };
+  
+  return { allowed: false, retryAfter: Math.max(1, ...ttls) };
+}
+
+/**
+ * Count a failed login against the username and the IP
+ * @param {Redis} redis
+ * @param {string} username
+ * @param {string} ip
+ * @returns {Promise<void>}
+ */
+export async function recordLoginFailure(redis, username, ip) {
+  const multi = redis.multi();
+  for (const key of loginFailureKeys(username, ip)) {
+    // The window starts at the first failure
+    multi.set(key, 0, 'EX', LOGIN_WINDOW, 'NX').incr(key);
+  }
+  await multi.exec();
+}
+
+/**
+ * Forget a username's failures after a successful login (the IP count stays)
+ * @param {Redis} redis
+ * @param {string} username
+ * @returns {Promise<void>}
+ */
+export async function clearLoginFailures(redis, username) {
+  await redis.del(loginFailureKeys(username)[0]);
+}
+
+/**
+ * Create the admin user from ADMIN_USERNAME/ADMIN_PASSWORD if it doesn't exist
+ * @param {Redis} redis
+ * @returns {Promise<void>}
+ */
+export async function ensureAdmin(redis) {
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD;
+  
+  if (await getUser(redis, username)) return;
+  
+  if (!password) {
+    const count = await redis.hlen(USERS_KEY);
+    if (count === 0 && !AUTH_DISABLED) {
+      logger.warn('No users exist; set ADMIN_PASSWORD to create the first admin');
+    }
+    return;
+  }
+  
+  const result = await createUser(redis, { username, password, role: 'admin' });
+  if (!result.valid) {
+    logger.error('Failed to create admin user', { username, reason: result.message });
+  }
+}
+
+/**
+ * Create an API key for a user
+ * The plaintext key is only returned here; only its hash is stored.
+ * @param {Redis} redis
+ * @param {string} username
+ * @param {string} name - Label, e.g. "CRM sync"
+ * @returns {Promise<{id: string, key: string, name: string, createdAt: string}>}
+ */
+export async function createApiKey(redis, username, name = '') {
+  const key = `wc_${crypto.randomBytes(32).toString('base64url')}`;
+  const keyHash = hashToken(key);
+  const record = {
+    id: keyHash.slice(0, 12),
+    username,
+    name: String(name).slice(0, 60),
+    createdAt: new Date().toISOString()
+  };
+  
+  await redis.hset(API_KEYS_KEY, keyHash, JSON.stringify(record));
+  logger.info('API key created', { username, keyId: record.id });
+  
+  return { ...record, key };
+}
+
+/**
+ * List a user's API keys (metadata only)
+ * @param {Redis} redis
+ * @param {string} username
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listApiKeys(redis, username) {
+  const all = await redis.hvals(API_KEYS_KEY);
+  return all
+    .map(json => JSON.parse(json))
+    .filter(k => k.username === username);
+}
+
+/**
+ * Revoke one of a user's API keys
+ * @param {Redis} redis
+ * @param {string} username
+ * @param {string} id - Key id from listApiKeys
+ * @returns {Promise<boolean>} True if a key was removed
+ */
+export async function revokeApiKey(redis, username, id) {
+  const all = await redis.hgetall(API_KEYS_KEY);
+  for (const [keyHash, json] of Object.entries(all)) {
+    const record = JSON.parse(json);
+    if (record.id === id && record.username === username) {
+      await redis.hdel(API_KEYS_KEY, keyHash);
+      logger.info('API key revoked', { username, keyId: id });
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Start a session for a user
+ * @param {Redis} redis
+ * @param {string} username
+ * @returns {Promise<string>} Session token (sent as cookie, stored hashed)
+ */
+export async function createSession(redis, username) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await redis.setex(sessionKey(hashToken(token)), SESSION_TTL, username);
+  return token;
+}
+
+/**
+ * End a session
+ * @param {Redis} redis
+ * @param {string} token
+ * @returns {Promise<void>}
+ */
+export async function destroySession(redis, token) {
+  if (token) await redis.del(sessionKey(hashToken(token)));
+}
+
+/**
+ * Read a cookie value from the request
+ * @param {Request} req
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function readCookie(req, name = SESSION_COOKIE) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+/**
+ * Build the Set-Cookie header value for a session
+ * @param {string} token - Session token, or '' to clear
+ * @param {boolean} secure - Add the Secure flag (HTTPS)
+ * @returns {string}
+ */
+export function sessionCookie(token, secure = false) {
+  const maxAge = token ? SESSION_TTL : 0;
+  return `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+}
+
+/**
+ * Resolve the caller from an API key (Authorization: Bearer / X-API-Key) or
+ * session cookie
+ * @param {Redis} redis
+ * @param {Request} req
+ * @returns {Promise<{user: Object, apiKey: Object|null}|null>}
+ */
+export async function authenticateRequest(redis, req) {
+  const bearer = req.headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+  const apiKey = bearer || req.headers['x-api-key'];
+  
+  if (apiKey) {
+    const json = await redis.hget(API_KEYS_KEY, hashToken(String(apiKey).trim()));
+    if (!json) return null;
+    
+    const record = JSON.parse(json);
+    const user = await getUser(redis, record.username);
+    return user ? { user: publicUser(user), apiKey: record } : null;
+  }
+  
+  const token = readCookie(req);
+  if (token) {
+    const username = await redis.get(sessionKey(hashToken(token)));
+    const user = username ? await getUser(redis, username) : null;
+    return user ? { user: publicUser(user), apiKey: null } : null;
+  }
+  
+  return null;
+}
+
+/**
+ * Express middleware requiring an authenticated caller
+ * Sets req.user ({username, role}) and req.apiKey.
+ * @param {Function} getRedis - Returns the current Redis connection (or null)
+ * @returns {Function} Middleware
+ */
+export function requireAuth(getRedis) {
+  return async (req, res, next) => {
+    if (AUTH_DISABLED) {
+      req.user = { username: 'anonymous', role: 'admin' };
+      req.apiKey = null;
+      return next();
+    }
+    
+    const redis = getRedis();
+    if (!redis) {
+      return res.status(503).json({ error: 'Tjänsten är inte tillgänglig (Redis-anslutning saknas)' });
+    }
+    
+    try {
+      const auth = await authenticateRequest(redis, req);
+      if (!auth) {
+        return res.status(401).json({ error: 'Inloggning krävs' });
+      }
+      
+      req.user = auth.user;
+      req.apiKey = auth.apiKey;
+      next();
+    } catch (err) {
+      logger.error('Authentication error', { error: err.message });
+      res.status(500).json({ error: 'Något gick fel' });
+    }
+  };
+}
+
+/**
+ * Express middleware allowing only admins (use after requireAuth)
+ * @returns {Function} Middleware
+ */
+export function requireAdmin() {
+  return (req, res, next) => {
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({ error: 'Kräver administratörsbehörighet' });
+    }
+    next();
+  };
+}
+
+/**
+ * Check whether a user may see a job
+ * @param {Object} user - req.user
+ * @param {string} owner - Username that created the job
+ * @returns {boolean}
+ */
+export function canAccessJob(user, owner) {
+  return user?.role === 'admin' || (owner || 'anonymous') === user?.username;
+}
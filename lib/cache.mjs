@@ -7,10 +7,11 @@ const CACHE_TTL = 7 * 24 * 60 * 60; // 7 days in seconds
 /**
  * Generate cache key from URL
  * @param {string} url
+ * @param {string} [variant] - Crawl settings that change the result (country profile, phone region)
  * @returns {string}
  */
-function cacheKey(url) {
-  const hash = createHash('sha256').update(url).digest('hex');
+function cacheKey(url, variant = '') {
+  const hash = createHash('sha256').update(variant ? `${variant} ${url}` : url).digest('hex');
   return `crawl:${hash}`;
 }
 
@@ -18,13 +19,14 @@ function cacheKey(url) {
  * Get cached crawl result
  * @param {string} url
  * @param {Redis} redis
+ * @param {string} [variant] - See cacheKey
  * @returns {Promise<Object|null>}
  */
-export async function getCached(url, redis) {
+export async function getCached(url, redis, variant = '') {
   if (!ENABLE_CACHE || !redis) return null;
   
   try {
-    const key = cacheKey(url);
+    const key = cacheKey(url, variant);
     const cached = await redis.get(key);
     
     if (cached) {
@@ -44,14 +46,16 @@ export async function getCached(url, redis) {
  * @param {string} url
  * @param {Object} data
  * @param {Redis} redis
- * @param {number} ttl - TTL in seconds
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - TTL in seconds
+ * @param {string} [options.variant] - See cacheKey
  * @returns {Promise<void>}
  */
-export async function setCached(url, data, redis, ttl = CACHE_TTL) {
+export async function setCached(url, data, redis, { ttl = CACHE_TTL, variant = '' } = {}) {
   if (!ENABLE_CACHE || !redis) return;
   
   try {
-    const key = cacheKey(url);
+    const key = cacheKey(url, variant);
     await redis.setex(key, ttl, JSON.stringify(data));
     logger.debug('Cache set', { url, ttl });
   } catch (err) {
@@ -63,13 +67,14 @@ export async function setCached(url, data, redis, ttl = CACHE_TTL) {
  * Clear cache for a URL
  * @param {string} url
  * @param {Redis} redis
+ * @param {string} [variant] - See cacheKey
  * @returns {Promise<void>}
  */
-export async function clearCached(url, redis) {
+export async function clearCached(url, redis, variant = '') {
   if (!redis) return;
   
   try {
-    const key = cacheKey(url);
+    const key = cacheKey(url, variant);
     await redis.del(key);
     logger.debug('Cache cleared', { url });
   } catch (err) {
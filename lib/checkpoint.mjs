@@ -0,0 +1,75 @@
+import { logger } from './logger.mjs';
+import { appendRecords } from './resultStore.mjs';
+
+const CHECKPOINT_TTL = 7 * 24 * 60 * 60; // 7 days, same as failed-job retention
+
+/**
+ * Redis key holding finished sites for a job (hash: host -> site result)
+ * @param {string} jobId
+ * @returns {string}
+ */
+function checkpointKey(jobId) {
+  return `checkpoint:${jobId}`;
+}
+
+/**
+ * Load all finished sites for a job
+ * @param {Redis} redis
+ * @param {string} jobId
+ * @returns {Promise<Map<string, Object>>} host -> site result
+ */
+export async function loadCheckpoints(redis, jobId) {
+  const checkpoints = new Map();
+  if (!redis) return checkpoints;
+  
+  const entries = await redis.hgetall(checkpointKey(jobId));
+  for (const [host, json] of Object.entries(entries)) {
+    try {
+      checkpoints.set(host, JSON.parse(json));
+    } catch (err) {
+      // A corrupt entry just means the site is crawled again
+      logger.warn('Ignoring corrupt checkpoint', { jobId, host, error: err.message });
+    }
+  }
+  
+  return checkpoints;
+}
+
+/**
+ * Persist the result of one finished site
+ * The site summary and its records are written in one MULTI, so a site is
+ * either fully checkpointed and stored or not at all.
+ * @param {Redis} redis
+ * @param {string} jobId
+ * @param {string} host
+ * @param {Object} siteResult - {recordCount, pages, errors}
+ * @param {Array<Object>} records - ContactRecords for the result store
+ * @returns {Promise<void>}
+ */
+export async function saveCheckpoint(redis, jobId, host, siteResult, records = []) {
+  if (!redis) return;
+  
+  const key = checkpointKey(jobId);
+  const tx = redis.multi();
+  appendRecords(tx, jobId, records);
+  await tx
+    .hset(key, host, JSON.stringify(siteResult))
+    .expire(key, CHECKPOINT_TTL)
+    .exec();
+}
+
+/**
+ * Remove all checkpoints for a job
+ * @param {Redis} redis
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+export async function clearCheckpoints(redis, jobId) {
+  if (!redis) return;
+  
+  try {
+    await redis.del(checkpointKey(jobId));
+  } catch (err) {
+    logger.error('Failed to clear checkpoints', { jobId, error: err.message });
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Country profiles: per-market crawl settings chosen per job
+ *
+ * tlds            email domains accepted (null = any)
+ * phoneRegion     default region for national phone numbers (null = from the site's TLD)
+ * acceptLanguage  Accept-Language header sent when fetching
+ * contact/about/team  path and link-text vocabulary for finding contact pages
+ * guessedPaths    fallback paths tried when a site links to nothing better
+ * roleLocalparts  local parts of shared mailboxes (info@, kontakt@ ...)
+ *
+ * The English vocabulary in COMMON is part of every profile.
+ */
+const COMMON = {
+  tlds: ['com', 'info', 'org', 'net'],
+  contact: ['contact', 'contact-us', 'find-us'],
+  about: ['about', 'about-us'],
+  team: ['team', 'staff', 'people'],
+  roleLocalparts: ['info', 'support', 'sales', 'office', 'hello', 'contact', 'admin', 'webmaster', 'inquiry', 'service']
+};
+
+const PROFILES = {
+  SE: {
+    label: 'Sverige',
+    tlds: ['se', 'nu'],
+    phoneRegion: 'SE',
+    acceptLanguage: 'sv-SE,sv;q=0.9,en;q=0.8',
+    contact: ['kontakt', 'kontakta', 'hitta-hit'],
+    about: ['om', 'om-oss'],
+    team: ['medarbetare', 'personal', 'ledning'],
+    guessedPaths: ['/kontakt', '/kontakta-oss', '/om', '/om-oss', '/about', '/contact'],
+    roleLocalparts: ['kontakt', 'kundtjanst', 'hej']
+  },
+  NO: {
+    label: 'Norge',
+    tlds: ['no'],
+    phoneRegion: 'NO',
+    acceptLanguage: 'nb-NO,nb;q=0.9,no;q=0.9,nn;q=0.8,en;q=0.7',
+    contact: ['kontakt', 'kontakt-oss', 'finn-oss'],
+    about: ['om', 'om-oss'],
+    team: ['ansatte', 'medarbeidere', 'ledelse'],
+    guessedPaths: ['/kontakt', '/kontakt-oss', '/om-oss', '/about', '/contact'],
+    roleLocalparts: ['kontakt', 'post', 'firmapost', 'kundeservice', 'hei', 'salg']
+  },
+  DK: {
+    label: 'Danmark',
+    tlds: ['dk'],
+    phoneRegion: 'DK',
+    acceptLanguage: 'da-DK,da;q=0.9,en;q=0.8',
+    contact: ['kontakt', 'kontakt-os', 'find-os'],
+    about: ['om', 'om-os'],
+    team: ['medarbejdere', 'personale', 'ledelse'],
+    guessedPaths: ['/kontakt', '/kontakt-os', '/om-os', '/about', '/contact'],
+    roleLocalparts: ['kontakt', 'post', 'mail', 'kundeservice', 'hej', 'salg']
+  },
+  FI: {
+    label: 'Finland',
+    tlds: ['fi', 'ax'],
+    phoneRegion: 'FI',
+    acceptLanguage: 'fi-FI,fi;q=0.9,sv;q=0.8,en;q=0.7',
+    contact: ['yhteystiedot', 'ota-yhteytta', 'ota-yhteyttä', 'yhteydenotto', 'kontakt'],
+    about: ['meista', 'meistä', 'yritys', 'tietoa-meista'],
+    team: ['henkilosto', 'henkilöstö', 'tiimi', 'yhteyshenkilot'],
+    guessedPaths: ['/yhteystiedot', '/ota-yhteytta', '/meista', '/kontakt', '/about', '/contact'],
+    roleLocalparts: ['asiakaspalvelu', 'myynti', 'toimisto', 'yhteys', 'kontakt']
+  },
+  INTL: {
+    label: 'Internationell',
+    tlds: null,
+    phoneRegion: null,
+    acceptLanguage: 'en-US,en;q=0.9,*;q=0.5',
+    contact: ['contacts', 'get-in-touch', 'imprint', 'impressum', 'kontakt'],
+    about: ['company', 'who-we-are'],
+    team: ['our-team', 'leadership'],
+    guessedPaths: ['/contact', '/contact-us', '/about', '/about-us', '/kontakt', '/impressum'],
+    roleLocalparts: ['mail', 'enquiries', 'hi', 'kontakt']
+  }
+};
+
+const DEFAULT_PROFILE = PROFILES[process.env.DEFAULT_COUNTRY_PROFILE] ? process.env.DEFAULT_COUNTRY_PROFILE : 'SE';
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Path regex: short words ("om") must stand alone between separators
+ */
+function pathPattern(words) {
+  const alternatives = words.map(w => w.length <= 3
+    ? `(^|[\\/_-])${escapeRegex(w)}([\\/_-]|$)`
+    : escapeRegex(w));
+  return new RegExp(alternatives.join('|'), 'i');
+}
+
+/**
+ * Link-text regex: hyphens in the vocabulary match spaces too
+ */
+function textPattern(words) {
+  const alternatives = words.map(w => {
+    const word = escapeRegex(w).replace(/-/g, '[\\s-]');
+    return w.length <= 3 ? `(^|\\s)${word}(\\s|$)` : word;
+  });
+  return new RegExp(alternatives.join('|'), 'i');
+}
+
+const compiled = new Map();
+
+function compile(id) {
+  const p = PROFILES[id];
+  const contact = [...p.contact, ...COMMON.contact];
+  const about = [...p.about, ...COMMON.about];
+  const team = [...p.team, ...COMMON.team];
+  const roles = [...new Set([...COMMON.roleLocalparts, ...p.roleLocalparts])];
+  
+  return {
+    id,
+    label: p.label,
+    tlds: p.tlds ? new Set([...p.tlds, ...COMMON.tlds]) : null,
+    phoneRegion: p.phoneRegion,
+    acceptLanguage: p.acceptLanguage,
+    guessedPaths: p.guessedPaths,
+    // Ranking signals for candidate pages, strongest first
+    linkSignals: [
+      { path: pathPattern(contact), text: textPattern(contact), weight: 10 },
+      { path: pathPattern(about), text: textPattern(about), weight: 5 },
+      { path: pathPattern(team), text: textPattern(team), weight: 4 }
+    ],
+    keyPages: pathPattern([...contact, ...about, ...team]),
+    contactPage: pathPattern(contact),
+    roleLocalparts: new RegExp(`^(${roles.map(escapeRegex).join('|')})$`, 'i')
+  };
+}
+
+/**
+ * Profile ids, in the order shown in the upload form
+ */
+export const COUNTRY_PROFILE_IDS = Object.keys(PROFILES);
+
+/**
+ * Get a country profile with its vocabulary compiled to regexes
+ * @param {string} [id] - SE, NO, DK, FI or INTL; unknown ids fall back to the default profile
+ * @returns {Object}
+ */
+export function getCountryProfile(id) {
+  const key = PROFILES[id] ? id : DEFAULT_PROFILE;
+  if (!compiled.has(key)) compiled.set(key, compile(key));
+  return compiled.get(key);
+}
+
+/**
+ * Profiles for pickers; `default` marks the server's default profile
+ * @returns {Array<{id: string, label: string, default: boolean}>}
+ */
+export function listCountryProfiles() {
+  return COUNTRY_PROFILE_IDS.map(id => ({ id, label: PROFILES[id].label, default: id === DEFAULT_PROFILE }));
+}
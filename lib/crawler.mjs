@@ -1,36 +1,54 @@
 import * as cheerio from 'cheerio';
-import { parsePhoneNumberFromString } from 'libphonenumber-js';
 import { setTimeout as delay } from 'node:timers/promises';
 import { logger } from './logger.mjs';
 import { fetchHtml } from './fetcher.mjs';
 import { withRateLimit } from './rateLimiter.mjs';
 import { isAllowed } from './robots.mjs';
 import { isSafeUrl } from './validators/url.mjs';
-import { extractContacts } from './extractors/index.mjs';
-import { classifyEmail, scoreEmail, validateEmailFormat } from './validators/email.mjs';
+import { extractContacts, discoverLinks, scoreLink } from './extractors/index.mjs';
+import { mergePeople, matchPerson } from './extractors/people.mjs';
+import { ORG_NUMBER_SOURCES } from './extractors/orgNumber.mjs';
+import { mergeAddresses } from './extractors/address.mjs';
+import { emptySocials } from './extractors/social.mjs';
+import { parsePhone, parsePhones, associatePhones, resolvePhoneRegion } from './extractors/phone.mjs';
+import { createFrontier } from './frontier.mjs';
+import { getCountryProfile } from './countryProfiles.mjs';
+import { findSitemapPages } from './sitemap.mjs';
+import { classifyEmail, validateEmailFormat } from './validators/email.mjs';
+import { verifyEmails } from './validators/deliverability.mjs';
+import { getScoreWeights, scoreContact } from './scoring.mjs';
 import { createContactRecord } from './models/ContactRecord.mjs';
 import { getCached, setCached } from './cache.mjs';
+import { toAsciiEmail, toUnicodeEmail, toUnicodeHost } from './idn.mjs';
 import { isDncDomain, checkTos } from './doNotContact.mjs';
 import { hasCaptcha, handleCaptcha } from './captcha.mjs';
 import { crawlCounter, contactsFound } from './metrics.mjs';
 
-const ALLOWED_TLDS = new Set(['se', 'com', 'info', 'nu', 'org', 'net']);
 const BAD_EMAILS = /(example\.com|user@domain\.com|noreply|donotreply|no-reply|test@|placeholder|u003e)/i;
 const BETWEEN_REQUESTS_MS = parseInt(process.env.BETWEEN_REQUESTS_MS) || 150;
 
+const GUESS_PENALTY = 6;
+const ROOT_SCORE = 100;
+// Failed fetches (guessed paths that 404) don't use the page budget; this caps them
+const ATTEMPTS_PER_PAGE = 3;
+const ENABLE_SITEMAPS = process.env.ENABLE_SITEMAPS !== 'false';
+
 /**
  * Clean and validate emails
+ * allowedTlds comes from the country profile; null accepts any TLD.
+ * An address is kept once per source, so every kind of evidence reaches scoring.
+ * Addresses come out with ASCII (punycode) domains, like siteHost.
  */
-function cleanEmails(emails, siteHost) {
+function cleanEmails(emails, siteHost, allowedTlds) {
   const out = [];
   const seen = new Set();
   
   for (const item of emails || []) {
-    const email = typeof item === 'string' 
-      ? item.trim().toLowerCase() 
-      : item.email?.trim().toLowerCase();
+    const raw = typeof item === 'string' ? item : item.email;
+    const email = raw ? toAsciiEmail(raw).toLowerCase() : null;
     
-    if (!email || seen.has(email)) continue;
+    const source = typeof item === 'object' ? item.source : 'unknown';
+    if (!email || seen.has(`${email} ${source}`)) continue;
     if (BAD_EMAILS.test(email)) continue;
     if (!validateEmailFormat(email)) continue;
     
@@ -38,12 +56,12 @@ function cleanEmails(emails, siteHost) {
     if (!localpart || !domain) continue;
     
     const tld = domain.split('.').pop()?.toLowerCase();
-    if (!tld || !ALLOWED_TLDS.has(tld)) continue;
+    if (!tld || (allowedTlds && !allowedTlds.has(tld))) continue;
     
-    seen.add(email);
+    seen.add(`${email} ${source}`);
     out.push({
       email,
-      source: typeof item === 'object' ? item.source : 'unknown',
+      source,
       confidence: typeof item === 'object' ? item.confidence : 0.5
     });
   }
@@ -51,39 +69,19 @@ function cleanEmails(emails, siteHost) {
   return out;
 }
 
-/**
- * Parse phones from text
- */
-function parsePhonesFromText(text) {
-  const candidates = new Set((text.replace(/&nbsp;/g, ' ')?.match(/(\+?\d[\d\s().\-]{5,}\d)/g)) || []);
-  const normalized = [];
-  
-  for (let cand of candidates) {
-    cand = cand.replace(/[()\s\-.]/g, '');
-    if (cand.startsWith('0')) cand = '+46' + cand.slice(1);
-    if (!cand.startsWith('+')) continue;
-    
-    try {
-      const p = parsePhoneNumberFromString(cand, 'SE');
-      if (p && p.isValid() && p.country === 'SE') {
-        const e164 = p.number;
-        if (e164.length >= 9 && e164.length <= 15 && !/(\d)\1{6,}/.test(e164)) {
-          normalized.push(e164);
-        }
-      }
-    } catch {}
-  }
-  
-  return [...new Set(normalized)];
-}
-
 /**
  * Crawl a single URL
+ * profile is the job's country profile; phoneRegion the default region for
+ * national phone numbers. Both change the result, so they are part of the
+ * cache key.
+ * hooks.onPageFetched(url) is called for every page actually fetched
+ * (not for cache hits)
  */
-async function crawlUrl(url, host, redis = null) {
+async function crawlUrl(url, host, { profile, phoneRegion }, redis = null, hooks = {}) {
+  const cacheVariant = `${profile.id}/${phoneRegion}`;
   try {
     // Check cache first
-    const cached = await getCached(url, redis);
+    const cached = await getCached(url, redis, cacheVariant);
     if (cached) {
       logger.debug('Using cached result', { url });
       return cached;
@@ -110,7 +108,8 @@ async function crawlUrl(url, host, redis = null) {
     }
     
     // Fetch with rate limiting
-    const html = await withRateLimit(url, () => fetchHtml(url));
+    const html = await withRateLimit(url, () => fetchHtml(url, { acceptLanguage: profile.acceptLanguage }));
+    await hooks.onPageFetched?.(url);
     
     // Captcha check
     const captchaResult = handleCaptcha(url, html);
@@ -121,24 +120,34 @@ async function crawlUrl(url, host, redis = null) {
     
     // Parse HTML
     const $ = cheerio.load(html);
-    const extracted = extractContacts($, url, host);
+    const extracted = extractContacts($, url, host, html);
     
     // Clean and process emails
-    const cleanedEmails = cleanEmails(extracted.emails, host);
+    const cleanedEmails = cleanEmails(extracted.emails, host, profile.tlds);
     
     // Process phones
     const text = $('body').text();
     const tels = $('a[href^="tel:"]').map((_, a) => $(a).attr('href')?.replace(/^tel:/, '')).get();
-    const phones = parsePhonesFromText([tels.join(' '), text].join(' '));
+    const nearEmails = associatePhones($, phoneRegion);
+    const phones = parsePhones([tels.join(' '), text].join(' '), phoneRegion)
+      .map(phone => ({ ...phone, email: nearEmails.has(phone.number) ? toAsciiEmail(nearEmails.get(phone.number)) : null }));
     
     const result = {
       emails: cleanedEmails,
       phones,
-      socials: extracted.socials
+      socials: extracted.socials,
+      people: extracted.people.map(p => ({
+        ...p,
+        email: p.email ? toAsciiEmail(p.email).toLowerCase() : null,
+        phone: p.phone ? parsePhones(p.phone, phoneRegion)[0]?.number || null : null
+      })),
+      orgNumbers: extracted.orgNumbers,
+      addresses: extracted.addresses,
+      links: discoverLinks($, url, profile)
     };
     
     // Cache result
-    await setCached(url, result, redis);
+    await setCached(url, result, redis, { variant: cacheVariant });
     
     // Update metrics
     if (cleanedEmails.length > 0) contactsFound.inc({ type: 'email' }, cleanedEmails.length);
@@ -151,19 +160,41 @@ async function crawlUrl(url, host, redis = null) {
   }
 }
 
+/**
+ * Kind of page for scoring: a contact page, another key page (about, team) or neither
+ * @param {string} url
+ * @param {Object} profile - Country profile
+ * @returns {'contact'|'key'|null}
+ */
+function pageType(url, profile) {
+  const { pathname } = new URL(url);
+  if (profile.contactPage.test(pathname)) return 'contact';
+  if (profile.keyPages.test(pathname)) return 'key';
+  return null;
+}
+
 /**
  * Crawl a website (multiple pages)
  */
-export async function crawlSite({ rootUrl, host, companyName }, config = {}, redis = null) {
+export async function crawlSite({ rootUrl, host, companyName, input = null }, config = {}, redis = null, hooks = {}) {
   const maxPages = config.maxPages || 5;
+  const profile = getCountryProfile(config.countryProfile);
+  const weights = getScoreWeights(config.scoreWeights);
+  const phoneRegion = resolvePhoneRegion(config.phoneRegion || profile.phoneRegion, host);
   const results = {
     companyName,
+    input,
     website: rootUrl,
     domain: host,
-    emails: new Map(), // email -> {emailType, confidence, sources}
-    phones: new Set(),
-    socials: { linkedin: null, facebook: null, x: null },
+    countryProfile: profile.id,
+    emails: new Map(), // email -> {emailType, sightings, pages, pageType, sources, confidence, scoreBreakdown, deliverability}
+    phones: new Map(), // number -> {number, type, country, email}
+    socials: emptySocials(),
+    people: [], // {name, firstName, lastName, title, email, phone, source}
+    orgNumbers: new Map(), // orgNumber -> {source, pages}
+    addresses: [], // {street, postalCode, city, country, type, source}
     sourcePages: new Set(),
+    pages: [], // {url, origin: root|discovered|sitemap|guessed, score, fetched}
     errors: []
   };
   
@@ -182,57 +213,100 @@ export async function crawlSite({ rootUrl, host, companyName }, config = {}, red
     // Continue anyway but log warning
   }
   
-  // Build page list
-  const pagesToCrawl = [
-    rootUrl,
-    `${rootUrl}/kontakt`,
-    `${rootUrl}/kontakta-oss`,
-    `${rootUrl}/om`,
-    `${rootUrl}/om-oss`,
-    `${rootUrl}/about`,
-    `${rootUrl}/contact`
-  ].slice(0, maxPages);
+  // Seed the frontier: root first, guessed paths as low-ranked fallbacks
+  const frontier = createFrontier();
+  frontier.add(rootUrl, { score: ROOT_SCORE, origin: 'root' });
+  for (const path of profile.guessedPaths) {
+    frontier.add(`${rootUrl}${path}`, { score: scoreLink(path, '', profile) - GUESS_PENALTY, origin: 'guessed' });
+  }
   
-  // Crawl each page
-  for (const url of pagesToCrawl) {
+  // Contact-like pages listed in sitemap.xml
+  if (ENABLE_SITEMAPS) {
+    try {
+      for (const candidate of await findSitemapPages(rootUrl, profile)) {
+        frontier.add(candidate.url, { score: candidate.score, origin: 'sitemap' });
+      }
+    } catch (err) {
+      logger.warn('Sitemap discovery failed', { host, error: err.message });
+    }
+  }
+  
+  // Crawl best candidates until the page budget is spent; only fetched pages count
+  let page;
+  let fetched = 0;
+  let attempts = 0;
+  while (fetched < maxPages && attempts < maxPages * ATTEMPTS_PER_PAGE && (page = frontier.next())) {
+    const { url } = page;
+    attempts++;
     try {
       await delay(BETWEEN_REQUESTS_MS);
       
-      const pageResult = await crawlUrl(url, host, redis);
+      const pageResult = await crawlUrl(url, host, { profile, phoneRegion }, redis, hooks);
+      results.pages.push({ url, origin: page.origin, score: page.score, fetched: !!pageResult });
       if (!pageResult) continue;
+      fetched++;
+      
+      // Queue links discovered on this page
+      for (const link of pageResult.links || []) {
+        frontier.add(link.url, { score: link.score, origin: 'discovered' });
+      }
       
       results.sourcePages.add(url);
       
-      // Aggregate emails
+      // Aggregate emails: every sighting is evidence for the score
+      const kind = pageType(url, profile);
       for (const emailData of pageResult.emails) {
         const { email, source, confidence } = emailData;
         
-        if (!results.emails.has(email)) {
-          const { emailType } = await classifyEmail(email, host);
-          const score = scoreEmail(email, emailType, host);
-          
-          results.emails.set(email, {
-            email,
-            emailType,
-            confidence: score / 100,
-            sources: [source],
-            discoveryPath: source
-          });
-        } else {
-          const existing = results.emails.get(email);
-          existing.sources.push(source);
+        let evidence = results.emails.get(email);
+        if (!evidence) {
+          const { emailType } = await classifyEmail(email, host, profile.roleLocalparts);
+          evidence = { email, emailType, sightings: {}, pages: new Set(), pageType: null, sources: [], discoveryPath: source };
+          results.emails.set(email, evidence);
         }
+        
+        evidence.sources.push(source);
+        evidence.sightings[source] = Math.max(evidence.sightings[source] ?? 0, confidence ?? 0.5);
+        evidence.pages.add(url);
+        if (kind === 'contact' || (kind === 'key' && !evidence.pageType)) evidence.pageType = kind;
       }
       
       // Aggregate phones
-      for (const phone of pageResult.phones) {
-        results.phones.add(phone);
+      for (const entry of pageResult.phones) {
+        // Pages cached before phone types were added hold bare E.164 strings
+        const phone = typeof entry === 'string' ? parsePhone(entry) : entry;
+        if (!phone) continue;
+        
+        const existing = results.phones.get(phone.number);
+        if (!existing) results.phones.set(phone.number, { ...phone });
+        else existing.email ||= phone.email;
+      }
+      
+      // Aggregate people
+      if (pageResult.people?.length) {
+        results.people = mergePeople([...results.people, ...pageResult.people]);
+      }
+      
+      // Aggregate org numbers
+      for (const { orgNumber, source } of pageResult.orgNumbers || []) {
+        const existing = results.orgNumbers.get(orgNumber);
+        if (!existing) {
+          results.orgNumbers.set(orgNumber, { source, pages: 1 });
+        } else {
+          existing.pages++;
+          if (ORG_NUMBER_SOURCES[source] > ORG_NUMBER_SOURCES[existing.source]) existing.source = source;
+        }
+      }
+      
+      // Aggregate addresses
+      if (pageResult.addresses?.length) {
+        results.addresses = mergeAddresses([...results.addresses, ...pageResult.addresses]);
       }
       
       // Aggregate socials
-      if (pageResult.socials.linkedin) results.socials.linkedin = pageResult.socials.linkedin;
-      if (pageResult.socials.facebook) results.socials.facebook = pageResult.socials.facebook;
-      if (pageResult.socials.x) results.socials.x = pageResult.socials.x;
+      for (const [network, link] of Object.entries(pageResult.socials)) {
+        if (link) results.socials[network] = link;
+      }
       
     } catch (err) {
       logger.error('Failed to crawl page', { url, error: err.message });
@@ -240,27 +314,97 @@ export async function crawlSite({ rootUrl, host, companyName }, config = {}, red
     }
   }
   
+  // Verify deliverability once per site, after all pages are in, then score
+  const verified = await verifyEmails([...results.emails.keys()]);
+  for (const [email, data] of results.emails) {
+    const verification = verified.get(email);
+    data.deliverability = verification.deliverability;
+    data.deliverabilityReason = verification.reason;
+    
+    const score = scoreContact({
+      ...data,
+      pages: data.pages.size,
+      siteHost: host,
+      freeMail: verification.freeMail
+    }, weights);
+    data.confidence = score.confidence;
+    data.scoreBreakdown = score.breakdown;
+  }
+  
   return results;
 }
 
+/**
+ * Pick the site's organisation number: best source first, then most pages
+ * @param {Map<string, {source: string, pages: number}>} orgNumbers
+ * @returns {string|null}
+ */
+function pickOrgNumber(orgNumbers = new Map()) {
+  let best = null;
+  for (const [orgNumber, { source, pages }] of orgNumbers) {
+    const rank = ORG_NUMBER_SOURCES[source] * 100 + pages;
+    if (!best || rank > best.rank) best = { orgNumber, rank };
+  }
+  return best?.orgNumber ?? null;
+}
+
+/**
+ * Phones for one email: the person's own number, numbers shown next to the
+ * email, then the site's general numbers. Numbers shown next to another
+ * email are left out.
+ * @param {string} email
+ * @param {Object|null} person
+ * @param {Map<string, Object>} sitePhones - number -> {number, type, country, email}
+ * @returns {Array<{number: string, type: string|null, country: string|null}>}
+ */
+function phonesFor(email, person, sitePhones = new Map()) {
+  const all = [...sitePhones.values()];
+  const ordered = [
+    ...(person?.phone ? [sitePhones.get(person.phone) ?? parsePhone(person.phone) ?? { number: person.phone }] : []),
+    ...all.filter(p => p.email === email),
+    ...all.filter(p => !p.email)
+  ];
+  
+  const seen = new Set();
+  return ordered
+    .filter(p => !seen.has(p.number) && seen.add(p.number))
+    .map(p => ({ number: p.number, type: p.type ?? null, country: p.country ?? null }));
+}
+
 /**
  * Convert crawl result to ContactRecords
+ * Domains and emails are given in Unicode (målerifirma.se) for display.
  */
 export function toContactRecords(crawlResult) {
   const records = [];
+  const orgNumber = pickOrgNumber(crawlResult.orgNumbers);
+  const { contactPage } = getCountryProfile(crawlResult.countryProfile);
   
   for (const [email, data] of crawlResult.emails.entries()) {
+    const person = matchPerson(email, crawlResult.people || []);
+    const phones = phonesFor(email, person, crawlResult.phones);
+    
     const record = createContactRecord({
       sourceUrl: crawlResult.website,
-      domain: crawlResult.domain,
-      email,
+      domain: toUnicodeHost(crawlResult.domain),
+      email: toUnicodeEmail(email),
       emailType: data.emailType,
       confidence: data.confidence,
+      deliverability: data.deliverability ?? 'unknown',
+      scoreBreakdown: data.scoreBreakdown ?? [],
       discoveryPath: data.discoveryPath,
-      phone: [...crawlResult.phones][0] || null,
-      contactPage: [...crawlResult.sourcePages].find(p => /kontakt|contact/i.test(p)) || null,
+      phone: phones[0]?.number ?? null,
+      phones,
+      contactPage: [...crawlResult.sourcePages].find(p => contactPage.test(new URL(p).pathname)) || null,
       social: crawlResult.socials,
-      rawEvidence: `Sources: ${data.sources.join(', ')}`,
+      rawEvidence: `Sources: ${[...new Set(data.sources)].join(', ')}; pages: ${data.pages.size}`,
+      companyName: crawlResult.companyName,
+      orgNumber,
+      addresses: (crawlResult.addresses || []).map(({ source, ...address }) => address),
+      firstName: person?.firstName || null,
+      lastName: person?.lastName || null,
+      jobTitle: person?.title || null,
+      input: crawlResult.input,
       timestamp: new Date().toISOString()
     });
     
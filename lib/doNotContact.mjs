@@ -1,4 +1,5 @@
 import { logger } from './logger.mjs';
+import { toAsciiHost } from './idn.mjs';
 
 /**
  * Do-Not-Contact list - domains that should not be crawled
@@ -39,7 +40,7 @@ const RESTRICTIVE_TOS = {
  * @returns {boolean}
  */
 export function isDncDomain(host) {
-  const normalized = host.toLowerCase();
+  const normalized = toAsciiHost(host) || host.toLowerCase();
   
   // Exact match
   if (DNC_LIST.has(normalized)) {
@@ -80,7 +81,7 @@ export function checkTos(host) {
  * @param {string} domain
  */
 export function addToDnc(domain) {
-  DNC_LIST.add(domain.toLowerCase());
+  DNC_LIST.add(toAsciiHost(domain) || domain.toLowerCase());
   logger.info('Added to DNC list', { domain });
 }
 
@@ -89,7 +90,7 @@ export function addToDnc(domain) {
  * @param {string} domain
  */
 export function removeFromDnc(domain) {
-  DNC_LIST.delete(domain.toLowerCase());
+  DNC_LIST.delete(toAsciiHost(domain) || domain.toLowerCase());
   logger.info('Removed from DNC list', { domain });
 }
 
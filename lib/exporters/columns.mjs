@@ -0,0 +1,41 @@
+// Phones per record that get their own columns
+const EXPORT_PHONES = 3;
+const PHONE_FIELDS = [
+  ['Phone', 'number'],
+  ['Phone Type', 'type']
+];
+
+/**
+ * Header for the nth of a repeated group: "Phone", "Phone 2", "Phone 3"
+ * @param {string} label
+ * @param {number} n - 1-based
+ * @returns {string}
+ */
+export function numberedHeader(label, n) {
+  return n === 1 ? label : `${label} ${n}`;
+}
+
+/**
+ * Phone column headers, shared by the CSV and Excel exports
+ */
+export const PHONE_COLUMNS = Array.from({ length: EXPORT_PHONES }, (_, i) =>
+  PHONE_FIELDS.map(([label]) => numberedHeader(label, i + 1))
+).flat();
+
+/**
+ * Phone columns of a record: "Phone", "Phone Type", "Phone 2", "Phone Type 2" ...
+ * Records without a phones list fall back to the single phone.
+ * @param {Object} r - ContactRecord
+ * @returns {Object}
+ */
+export function phoneCells(r) {
+  const phones = r.phones?.length ? r.phones : r.phone ? [{ number: r.phone }] : [];
+  const cells = {};
+  for (let i = 0; i < EXPORT_PHONES; i++) {
+    const phone = phones[i] ?? {};
+    for (const [label, key] of PHONE_FIELDS) {
+      cells[numberedHeader(label, i + 1)] = phone[key] || '';
+    }
+  }
+  return cells;
+}
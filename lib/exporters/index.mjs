@@ -0,0 +1,185 @@
+import { stringify as toCsvStream } from 'csv-stringify';
+import { once } from 'node:events';
+import { logger } from '../logger.mjs';
+import { validateContactRecord } from '../models/ContactRecord.mjs';
+import { writeXlsx } from './xlsx.mjs';
+import { formatScoreBreakdown } from '../scoring.mjs';
+import { toUnicodeUrl } from '../idn.mjs';
+import { numberedHeader, PHONE_COLUMNS, phoneCells } from './columns.mjs';
+
+/**
+ * Export formats accepted by /api/jobs/:id/export
+ */
+export const EXPORT_FORMATS = ['enriched', 'highquality', 'mailchimp', 'json', 'ndjson', 'xlsx'];
+
+// Addresses per record that get their own columns (phones: columns.mjs)
+const EXPORT_ADDRESSES = 2;
+const ADDRESS_FIELDS = [
+  ['Address Type', 'type'],
+  ['Street', 'street'],
+  ['Postal Code', 'postalCode'],
+  ['City', 'city'],
+  ['Country', 'country']
+];
+
+const ADDRESS_COLUMNS = Array.from({ length: EXPORT_ADDRESSES }, (_, i) =>
+  ADDRESS_FIELDS.map(([label]) => numberedHeader(label, i + 1))
+).flat();
+
+export const ENRICHED_COLUMNS = [
+  'Email', 'First Name', 'Last Name', 'Title', 'Email Type', 'Confidence', 'Score Breakdown', 'Deliverability', 'Domain', 'Org Number', ...PHONE_COLUMNS, 'Discovery Path', 'Contact Page',
+  'LinkedIn', 'Facebook', 'Twitter/X', 'Instagram', 'YouTube', 'TikTok', ...ADDRESS_COLUMNS, 'Source URL', 'Timestamp'
+];
+
+/**
+ * Address columns of a record: "Street", "City", ... "Street 2", "City 2"
+ * @param {Object} r - ContactRecord
+ * @returns {Object}
+ */
+function addressCells(r) {
+  const cells = {};
+  for (let i = 0; i < EXPORT_ADDRESSES; i++) {
+    const address = r.addresses?.[i] ?? {};
+    for (const [label, key] of ADDRESS_FIELDS) {
+      cells[numberedHeader(label, i + 1)] = address[key] || '';
+    }
+  }
+  return cells;
+}
+
+/**
+ * Flatten a ContactRecord to an enriched CSV row
+ * @param {Object} r - ContactRecord
+ * @returns {Object}
+ */
+export function toEnrichedRow(r) {
+  return {
+    'Email': r.email,
+    'First Name': r.firstName || '',
+    'Last Name': r.lastName || '',
+    'Title': r.jobTitle || '',
+    'Email Type': r.emailType,
+    'Confidence': Math.round(r.confidence * 100) + '%',
+    'Score Breakdown': formatScoreBreakdown(r.scoreBreakdown, r.confidence),
+    'Deliverability': r.deliverability || 'unknown',
+    'Domain': r.domain,
+    'Org Number': r.orgNumber || '',
+    ...phoneCells(r),
+    'Discovery Path': r.discoveryPath,
+    'Contact Page': r.contactPage ? toUnicodeUrl(r.contactPage) : '',
+    'LinkedIn': r.social?.linkedin || '',
+    'Facebook': r.social?.facebook || '',
+    'Twitter/X': r.social?.x || '',
+    'Instagram': r.social?.instagram || '',
+    'YouTube': r.social?.youtube || '',
+    'TikTok': r.social?.tiktok || '',
+    ...addressCells(r),
+    'Source URL': toUnicodeUrl(r.sourceUrl),
+    'Timestamp': r.timestamp
+  };
+}
+
+/**
+ * Map an async iterable of records to export rows
+ * @param {AsyncIterable<Object>} records
+ * @param {Function} toRow
+ */
+export async function* mapRows(records, toRow) {
+  for await (const record of records) yield toRow(record);
+}
+
+/**
+ * Drop records that don't match the ContactRecord schema
+ * Applied to every export format, so all formats hold the same rows.
+ * @param {AsyncIterable<Object>} records
+ * @param {Object} [context] - Logged with the count, e.g. {jobId, format}
+ */
+export async function* validRecords(records, context = {}) {
+  let skipped = 0;
+  const examples = [];
+  for await (const record of records) {
+    if (validateContactRecord(record)) {
+      yield record;
+    } else {
+      skipped++;
+      if (examples.length < 3) {
+        const error = validateContactRecord.errors?.[0];
+        examples.push({ email: record?.email, error: error ? [error.instancePath, error.message].filter(Boolean).join(' ') : null });
+      }
+    }
+  }
+  if (skipped > 0) logger.warn('Invalid records left out of export', { ...context, skipped, examples });
+}
+
+function setDownloadHeaders(res, contentType, filename) {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+}
+
+async function write(res, chunk) {
+  if (!res.write(chunk)) await once(res, 'drain');
+}
+
+/**
+ * Stream rows as CSV without building the file in memory
+ * @param {Response} res
+ * @param {string} filename
+ * @param {string[]} columns
+ * @param {AsyncIterable<Object>} rows
+ */
+export async function streamCsv(res, filename, columns, rows) {
+  setDownloadHeaders(res, 'text/csv; charset=utf-8', filename);
+  
+  const stringifier = toCsvStream({ header: true, columns });
+  stringifier.pipe(res);
+  
+  for await (const row of rows) {
+    if (!stringifier.write(row)) await once(stringifier, 'drain');
+  }
+  stringifier.end();
+}
+
+/**
+ * Stream ContactRecords as a JSON array
+ * @param {Response} res
+ * @param {string} filename
+ * @param {AsyncIterable<Object>} records
+ */
+export async function streamJson(res, filename, records) {
+  setDownloadHeaders(res, 'application/json; charset=utf-8', filename);
+  
+  let first = true;
+  await write(res, '[');
+  for await (const record of records) {
+    await write(res, (first ? '\n' : ',\n') + JSON.stringify(record));
+    first = false;
+  }
+  res.end(first ? ']' : '\n]\n');
+}
+
+/**
+ * Stream ContactRecords as newline-delimited JSON (one record per line)
+ * @param {Response} res
+ * @param {string} filename
+ * @param {AsyncIterable<Object>} records
+ */
+export async function streamNdjson(res, filename, records) {
+  setDownloadHeaders(res, 'application/x-ndjson; charset=utf-8', filename);
+  
+  for await (const record of records) {
+    await write(res, JSON.stringify(record) + '\n');
+  }
+  res.end();
+}
+
+/**
+ * Stream ContactRecords as an Excel workbook (records + per-site summary)
+ * @param {Response} res
+ * @param {string} filename
+ * @param {AsyncIterable<Object>} records
+ * @param {{sites?: Array<{host: string, pages: Array}>, errors?: Array<{host: string, errors: Array}>}} meta
+ */
+export async function streamXlsx(res, filename, records, meta = {}) {
+  setDownloadHeaders(res, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', filename);
+  await writeXlsx(res, records, meta);
+}
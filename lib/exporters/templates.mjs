@@ -0,0 +1,319 @@
+import { logger } from '../logger.mjs';
+import { formatScoreBreakdown } from '../scoring.mjs';
+
+const TEMPLATES_KEY = 'export:templates'; // hash: id -> template JSON
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{1,39}$/;
+const TRANSFORMS = new Set(['join', 'percent', 'date', 'breakdown']);
+const MAX_FIELDS = 100;
+
+/**
+ * Built-in export profiles
+ * Each field maps one output column from a source path on the record
+ * ("email", "social.linkedin", "input.<CSV column>", "job.tags") or a fixed value.
+ */
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'mailchimp',
+    name: 'Mailchimp',
+    fields: [
+      { header: 'Email Address', source: 'email' },
+      { header: 'First Name', source: 'firstName' },
+      { header: 'Last Name', source: 'lastName' },
+      { header: 'Company', source: 'domain' },
+      { header: 'Phone Number', source: 'phone' },
+      { header: 'Website', source: 'sourceUrl' },
+      { header: 'Tags', source: 'job.tags' }
+    ]
+  },
+  {
+    id: 'hubspot',
+    name: 'HubSpot',
+    fields: [
+      { header: 'Email', source: 'email' },
+      { header: 'First Name', source: 'firstName' },
+      { header: 'Last Name', source: 'lastName' },
+      { header: 'Job Title', source: 'jobTitle' },
+      { header: 'Company Name', source: ['companyName', 'domain'] },
+      { header: 'Phone Number', source: 'phone' },
+      { header: 'Website URL', source: 'sourceUrl' },
+      { header: 'LinkedIn Company Page', source: 'social.linkedin' },
+      { header: 'Street Address', source: 'addresses.0.street' },
+      { header: 'Postal Code', source: 'addresses.0.postalCode' },
+      { header: 'City', source: 'addresses.0.city' },
+      { header: 'Country/Region', source: 'addresses.0.country' },
+      { header: 'Lead Status', value: 'NEW' },
+      { header: 'Lead Source', source: ['job.tags', 'discoveryPath'], transform: 'join', separator: ' | ' }
+    ]
+  },
+  {
+    id: 'pipedrive',
+    name: 'Pipedrive',
+    fields: [
+      { header: 'Organization - Name', source: ['companyName', 'domain'] },
+      { header: 'Organization - Website', source: 'sourceUrl' },
+      {
+        header: 'Organization - Address',
+        source: ['addresses.0.street', 'addresses.0.postalCode', 'addresses.0.city'],
+        transform: 'join',
+        separator: ', '
+      },
+      { header: 'Person - Name', source: ['firstName', 'lastName'], transform: 'join' },
+      { header: 'Person - Email', source: 'email' },
+      { header: 'Person - Phone', source: 'phone' },
+      { header: 'Person - Label', source: 'emailType' },
+      { header: 'Note', source: ['job.tags', 'discoveryPath'], transform: 'join', separator: ' | ' }
+    ]
+  },
+  {
+    id: 'lime',
+    name: 'Lime CRM',
+    fields: [
+      { header: 'Företagsnamn', source: ['companyName', 'domain'] },
+      { header: 'Organisationsnummer', source: 'orgNumber' },
+      { header: 'Förnamn', source: 'firstName' },
+      { header: 'Efternamn', source: 'lastName' },
+      { header: 'Titel', source: 'jobTitle' },
+      { header: 'E-post', source: 'email' },
+      { header: 'Telefon', source: 'phone' },
+      { header: 'Webbplats', source: 'sourceUrl' },
+      { header: 'Besöksadress', source: 'addresses.0.street' },
+      { header: 'Postnummer', source: 'addresses.0.postalCode' },
+      { header: 'Ort', source: 'addresses.0.city' },
+      { header: 'LinkedIn', source: 'social.linkedin' },
+      { header: 'Säkerhet', source: 'confidence', transform: 'percent' },
+      { header: 'Hittad', source: 'timestamp', transform: 'date', format: 'YYYY-MM-DD' }
+    ]
+  }
+].map(template => ({ ...template, builtIn: true }));
+
+const BUILT_IN_IDS = new Set(BUILT_IN_TEMPLATES.map(t => t.id));
+
+/**
+ * Resolve a dotted path ("social.linkedin", "input.Kategori") on an object
+ * @param {Object} obj
+ * @param {string} path
+ * @returns {*}
+ */
+function resolvePath(obj, path) {
+  const [head, ...rest] = path.split('.');
+  let value = obj?.[head];
+  // Input columns may themselves contain dots, so everything after "input." is one key
+  if (head === 'input' && rest.length > 0) return value?.[rest.join('.')];
+  for (const key of rest) value = value?.[key];
+  return value;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Format an ISO timestamp (UTC) with YYYY, MM, DD, HH, mm, ss tokens
+ * @param {string} value
+ * @param {string} format
+ * @returns {string}
+ */
+function formatDate(value, format = 'YYYY-MM-DD') {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return '';
+  
+  const tokens = {
+    YYYY: date.getUTCFullYear(),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds())
+  };
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Compute one output cell
+ * @param {Object} field
+ * @param {Object} context - Record plus `job`
+ * @returns {string}
+ */
+function renderField(field, context) {
+  let value;
+  
+  if (field.value !== undefined) {
+    value = field.value;
+  } else if (Array.isArray(field.source)) {
+    const parts = field.source.map(path => resolvePath(context, path)).filter(v => !isEmpty(v));
+    value = field.transform === 'join' ? parts.join(field.separator ?? ' ') : parts[0];
+  } else {
+    value = resolvePath(context, field.source);
+  }
+  
+  if (!isEmpty(value)) {
+    if (field.transform === 'percent') {
+      value = Math.round(Number(value) * 100) + '%';
+    } else if (field.transform === 'date') {
+      value = formatDate(value, field.format);
+    } else if (field.transform === 'breakdown') {
+      value = formatScoreBreakdown(value, context.confidence);
+    } else if (field.transform === 'join' && Array.isArray(value)) {
+      value = value.join(field.separator ?? ' ');
+    }
+  }
+  
+  return isEmpty(value) ? String(field.default ?? '') : String(value);
+}
+
+/**
+ * Output headers of a template, in order
+ * @param {Object} template
+ * @returns {string[]}
+ */
+export function templateColumns(template) {
+  return template.fields.map(f => f.header);
+}
+
+/**
+ * Map a ContactRecord to an output row
+ * @param {Object} template
+ * @param {Object} record - ContactRecord
+ * @param {Object} job - Job context, e.g. { id, tags }
+ * @returns {Object}
+ */
+export function renderRow(template, record, job = {}) {
+  const context = { ...record, job };
+  const row = {};
+  for (const field of template.fields) {
+    row[field.header] = renderField(field, context);
+  }
+  return row;
+}
+
+/**
+ * Validate a user-supplied template
+ * @param {Object} input
+ * @returns {{valid: boolean, template?: Object, message?: string}}
+ */
+export function validateTemplate(input) {
+  const { id, name, fields } = input || {};
+  
+  if (!TEMPLATE_ID_PATTERN.test(id || '')) {
+    return { valid: false, message: 'Mall-id måste vara 2-40 tecken (a-z, 0-9, _ -)' };
+  }
+  if (!Array.isArray(fields) || fields.length === 0 || fields.length > MAX_FIELDS) {
+    return { valid: false, message: `Mallen måste ha 1-${MAX_FIELDS} fält` };
+  }
+  
+  const headers = new Set();
+  const cleanFields = [];
+  
+  for (const [i, field] of fields.entries()) {
+    const label = `Fält ${i + 1}`;
+    if (typeof field?.header !== 'string' || !field.header.trim()) {
+      return { valid: false, message: `${label}: header saknas` };
+    }
+    if (headers.has(field.header)) {
+      return { valid: false, message: `${label}: kolumnen "${field.header}" finns redan` };
+    }
+    headers.add(field.header);
+    
+    const sources = Array.isArray(field.source) ? field.source : [field.source];
+    const hasSource = field.source !== undefined && sources.length > 0 &&
+      sources.every(s => typeof s === 'string' && s.trim());
+    if (field.value === undefined && !hasSource) {
+      return { valid: false, message: `${label}: ange source eller value` };
+    }
+    if (field.transform !== undefined && !TRANSFORMS.has(field.transform)) {
+      return { valid: false, message: `${label}: okänd transform (${[...TRANSFORMS].join(', ')})` };
+    }
+    
+    cleanFields.push({
+      header: field.header,
+      ...(field.value !== undefined ? { value: String(field.value) } : { source: field.source }),
+      ...(field.transform ? { transform: field.transform } : {}),
+      ...(field.separator !== undefined ? { separator: String(field.separator) } : {}),
+      ...(field.format !== undefined ? { format: String(field.format) } : {}),
+      ...(field.default !== undefined ? { default: String(field.default) } : {})
+    });
+  }
+  
+  return {
+    valid: true,
+    template: {
+      id,
+      name: String(name || id).slice(0, 80),
+      fields: cleanFields
+    }
+  };
+}
+
+/**
+ * List built-in and stored templates
+ * @param {Redis} redis
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listTemplates(redis) {
+  const stored = await redis.hgetall(TEMPLATES_KEY);
+  const custom = [];
+  for (const json of Object.values(stored)) {
+    try {
+      custom.push(JSON.parse(json));
+    } catch (err) {
+      logger.warn('Skipping corrupt export template', { error: err.message });
+    }
+  }
+  custom.sort((a, b) => a.id.localeCompare(b.id));
+  return [...BUILT_IN_TEMPLATES, ...custom];
+}
+
+/**
+ * Get a template by id
+ * @param {Redis} redis
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getTemplate(redis, id) {
+  const builtIn = BUILT_IN_TEMPLATES.find(t => t.id === id);
+  if (builtIn) return builtIn;
+  
+  const json = await redis.hget(TEMPLATES_KEY, id);
+  return json ? JSON.parse(json) : null;
+}
+
+/**
+ * Create or replace a stored template
+ * @param {Redis} redis
+ * @param {Object} input - Template definition
+ * @param {string} username - Creator
+ * @returns {Promise<{valid: boolean, template?: Object, message?: string}>}
+ */
+export async function saveTemplate(redis, input, username) {
+  const result = validateTemplate(input);
+  if (!result.valid) return result;
+  
+  if (BUILT_IN_IDS.has(result.template.id)) {
+    return { valid: false, message: 'Inbyggda mallar kan inte skrivas över' };
+  }
+  
+  const template = {
+    ...result.template,
+    createdBy: username,
+    updatedAt: new Date().toISOString()
+  };
+  await redis.hset(TEMPLATES_KEY, template.id, JSON.stringify(template));
+  
+  logger.info('Export template saved', { id: template.id, user: username });
+  return { valid: true, template };
+}
+
+/**
+ * Delete a stored template (built-ins cannot be deleted)
+ * @param {Redis} redis
+ * @param {string} id
+ * @returns {Promise<boolean>} True if a template was removed
+ */
+export async function deleteTemplate(redis, id) {
+  if (BUILT_IN_IDS.has(id)) return false;
+  return (await redis.hdel(TEMPLATES_KEY, id)) > 0;
+}
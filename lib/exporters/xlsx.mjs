@@ -0,0 +1,151 @@
+import ExcelJS from 'exceljs';
+import { formatAddress } from '../extractors/address.mjs';
+import { formatScoreBreakdown } from '../scoring.mjs';
+import { toUnicodeHost, toUnicodeUrl } from '../idn.mjs';
+import { PHONE_COLUMNS, phoneCells } from './columns.mjs';
+
+const RECORD_COLUMNS = [
+  { header: 'Email', key: 'email', width: 32 },
+  { header: 'First Name', key: 'firstName', width: 16 },
+  { header: 'Last Name', key: 'lastName', width: 18 },
+  { header: 'Title', key: 'jobTitle', width: 24 },
+  { header: 'Email Type', key: 'emailType', width: 12 },
+  { header: 'Confidence', key: 'confidence', width: 12, style: { numFmt: '0%' } },
+  { header: 'Score Breakdown', key: 'scoreBreakdown', width: 60 },
+  { header: 'Deliverability', key: 'deliverability', width: 14 },
+  { header: 'Domain', key: 'domain', width: 24 },
+  { header: 'Org Number', key: 'orgNumber', width: 14 },
+  // Same phone columns as the CSV export, keyed by header
+  ...PHONE_COLUMNS.map(header => ({ header, key: header, width: header.startsWith('Phone Type') ? 14 : 18 })),
+  { header: 'Discovery Path', key: 'discoveryPath', width: 28 },
+  { header: 'Contact Page', key: 'contactPage', width: 36 },
+  { header: 'LinkedIn', key: 'linkedin', width: 32 },
+  { header: 'Facebook', key: 'facebook', width: 32 },
+  { header: 'Twitter/X', key: 'x', width: 32 },
+  { header: 'Instagram', key: 'instagram', width: 32 },
+  { header: 'YouTube', key: 'youtube', width: 32 },
+  { header: 'TikTok', key: 'tiktok', width: 32 },
+  { header: 'Address', key: 'address', width: 40 },
+  { header: 'Address 2', key: 'address2', width: 40 },
+  { header: 'Source URL', key: 'sourceUrl', width: 36 },
+  { header: 'Timestamp', key: 'timestamp', width: 24 }
+];
+
+const SUMMARY_COLUMNS = [
+  { header: 'Domain', key: 'domain', width: 28 },
+  { header: 'Org Number', key: 'orgNumber', width: 14 },
+  { header: 'Records', key: 'records', width: 10 },
+  { header: 'Role', key: 'role', width: 8 },
+  { header: 'Personal', key: 'personal', width: 10 },
+  { header: 'Generic', key: 'generic', width: 10 },
+  { header: 'Best Confidence', key: 'bestConfidence', width: 16, style: { numFmt: '0%' } },
+  { header: 'Avg Confidence', key: 'avgConfidence', width: 16, style: { numFmt: '0%' } },
+  { header: 'Phone', key: 'phone', width: 18 },
+  { header: 'Contact Page', key: 'contactPage', width: 36 },
+  { header: 'Addresses', key: 'addresses', width: 48 },
+  { header: 'Pages Crawled', key: 'pagesCrawled', width: 14 },
+  { header: 'Errors', key: 'errors', width: 40 }
+];
+
+function emptySummary(domain) {
+  return {
+    domain,
+    records: 0,
+    role: 0,
+    personal: 0,
+    generic: 0,
+    confidenceSum: 0,
+    bestConfidence: null,
+    orgNumber: '',
+    phone: '',
+    contactPage: '',
+    addresses: '',
+    pagesCrawled: 0,
+    errors: ''
+  };
+}
+
+/**
+ * Write records and a per-site summary as an .xlsx workbook
+ * Records are streamed row by row; only the per-site aggregates are kept in
+ * memory until the summary sheet is written.
+ * @param {Writable} stream
+ * @param {AsyncIterable<Object>} records - ContactRecords
+ * @param {{sites?: Array<{host: string, pages: Array}>, errors?: Array<{host: string, errors: Array}>}} meta
+ * @returns {Promise<void>}
+ */
+export async function writeXlsx(stream, records, { sites = [], errors = [] } = {}) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  workbook.created = new Date();
+  
+  // Sites are keyed by the Unicode host, as in ContactRecord.domain
+  const summaries = new Map();
+  const summaryFor = (host) => {
+    const key = toUnicodeHost(host);
+    if (!summaries.has(key)) summaries.set(key, emptySummary(key));
+    return summaries.get(key);
+  };
+  for (const { host, pages = [] } of sites) {
+    summaryFor(host).pagesCrawled = pages.filter(p => p.fetched).length;
+  }
+  for (const { host, errors: siteErrors } of errors) {
+    summaryFor(host).errors = siteErrors.map(e => e.url ? `${e.url}: ${e.reason}` : e.reason).join('; ');
+  }
+  
+  const recordSheet = workbook.addWorksheet('Records', { views: [{ state: 'frozen', ySplit: 1 }] });
+  recordSheet.columns = RECORD_COLUMNS;
+  recordSheet.getRow(1).font = { bold: true };
+  
+  for await (const r of records) {
+    recordSheet.addRow({
+      email: r.email,
+      firstName: r.firstName || '',
+      lastName: r.lastName || '',
+      jobTitle: r.jobTitle || '',
+      emailType: r.emailType,
+      confidence: r.confidence,
+      scoreBreakdown: formatScoreBreakdown(r.scoreBreakdown, r.confidence),
+      deliverability: r.deliverability || 'unknown',
+      domain: r.domain,
+      orgNumber: r.orgNumber || '',
+      ...phoneCells(r),
+      discoveryPath: r.discoveryPath,
+      contactPage: r.contactPage ? toUnicodeUrl(r.contactPage) : '',
+      linkedin: r.social?.linkedin || '',
+      facebook: r.social?.facebook || '',
+      x: r.social?.x || '',
+      instagram: r.social?.instagram || '',
+      youtube: r.social?.youtube || '',
+      tiktok: r.social?.tiktok || '',
+      address: r.addresses?.[0] ? formatAddress(r.addresses[0]) : '',
+      address2: r.addresses?.[1] ? formatAddress(r.addresses[1]) : '',
+      sourceUrl: toUnicodeUrl(r.sourceUrl),
+      timestamp: r.timestamp
+    }).commit();
+    
+    const summary = summaryFor(r.domain);
+    summary.records++;
+    if (r.emailType in summary) summary[r.emailType]++;
+    summary.confidenceSum += r.confidence;
+    summary.bestConfidence = Math.max(summary.bestConfidence ?? 0, r.confidence);
+    summary.phone ||= r.phone || '';
+    summary.orgNumber ||= r.orgNumber || '';
+    summary.addresses ||= (r.addresses || []).map(formatAddress).join('; ');
+    summary.contactPage ||= r.contactPage ? toUnicodeUrl(r.contactPage) : '';
+  }
+  recordSheet.commit();
+  
+  const summarySheet = workbook.addWorksheet('Sites', { views: [{ state: 'frozen', ySplit: 1 }] });
+  summarySheet.columns = SUMMARY_COLUMNS;
+  summarySheet.getRow(1).font = { bold: true };
+  
+  for (const { confidenceSum, ...summary } of summaries.values()) {
+    summarySheet.addRow({
+      ...summary,
+      avgConfidence: summary.records > 0 ? confidenceSum / summary.records : null
+    }).commit();
+  }
+  summarySheet.commit();
+  
+  await workbook.commit();
+}
@@ -0,0 +1,248 @@
+import { logger } from '../logger.mjs';
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'footer', 'form', 'h1', 'h2',
+  'h3', 'h4', 'h5', 'h6', 'header', 'li', 'main', 'nav', 'ol', 'p', 'section', 'table', 'td', 'th', 'tr', 'ul'
+]);
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg']);
+
+// "123 45 Stockholm", "12345 Upplands Väsby"
+const POSTCODE_CITY = /(?<!\d)([1-9]\d{2})\s?(\d{2})(?!\d)\s+([A-ZÅÄÖÉ][a-zåäöéü]+(?:[\s-][A-ZÅÄÖÉ][a-zåäöéü]+)?)/;
+// "Storgatan 1", "Sankt Eriksgatan 12B", "Box 123"
+const STREET = /((?:[A-ZÅÄÖÉ][\wåäöéüÅÄÖÉ.'-]*\s)+\d{1,4}\s?[A-Za-z]?(?:\s?,?\s?\d\s?tr)?|Box\s\d{1,6})\s*[,|]?\s*$/;
+const TYPE_LABELS = [
+  { type: 'visit', pattern: /besöksadress|besök|visiting|hitta hit/i },
+  { type: 'postal', pattern: /postadress|post address|postal|utdelningsadress/i },
+  { type: 'invoice', pattern: /fakturaadress|faktura|invoice|billing/i },
+  { type: 'delivery', pattern: /leveransadress|godsadress|delivery/i }
+];
+const COUNTRY_NAMES = { se: 'SE', sweden: 'SE', sverige: 'SE', swe: 'SE' };
+const SOURCE_RANK = { 'json-ld': 3, 'microdata': 2, 'text': 1 };
+const MAX_ADDRESSES = 5;
+
+function clean(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize a Swedish postcode to "NNN NN"; other formats are kept as given
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizePostalCode(value) {
+  const code = clean(value);
+  const digits = code.replace(/^SE-?\s*/i, '').replace(/\s/g, '');
+  return /^[1-9]\d{4}$/.test(digits) ? `${digits.slice(0, 3)} ${digits.slice(3)}` : code;
+}
+
+function normalizeCountry(value) {
+  const country = clean(typeof value === 'object' ? value?.name : value);
+  if (!country) return null;
+  return COUNTRY_NAMES[country.toLowerCase()] || country;
+}
+
+function detectType(text) {
+  return TYPE_LABELS.find(l => l.pattern.test(text))?.type ?? null;
+}
+
+function fromPostalAddress(addr, source) {
+  if (typeof addr === 'string') return parseAddressText(addr, source)[0] || null;
+  
+  const street = clean(addr.streetAddress);
+  const postalCode = normalizePostalCode(addr.postalCode);
+  const city = clean(addr.addressLocality);
+  if (!street && !postalCode && !city) return null;
+  
+  return {
+    street: street || null,
+    postalCode: postalCode || null,
+    city: city || null,
+    country: normalizeCountry(addr.addressCountry),
+    type: detectType(clean(addr.name) + ' ' + clean(addr.contactType)),
+    source
+  };
+}
+
+/**
+ * Addresses from JSON-LD (any node's `address`, or PostalAddress items)
+ * @param {CheerioAPI} $
+ * @returns {Array<Object>}
+ */
+function extractJsonLdAddresses($) {
+  const addresses = [];
+  
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    
+    const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+    if (types.includes('PostalAddress')) {
+      const address = fromPostalAddress(node, 'json-ld');
+      if (address) addresses.push(address);
+      return;
+    }
+    if (typeof node.address === 'string') {
+      const address = fromPostalAddress(node.address, 'json-ld');
+      if (address) addresses.push(address);
+    }
+    
+    for (const child of Object.values(node)) {
+      if (child && typeof child === 'object') visit(child);
+    }
+  };
+  
+  $('script[type="application/ld+json"]').each((_, script) => {
+    try {
+      visit(JSON.parse($(script).html() || 'null'));
+    } catch (err) {
+      logger.debug('Failed to parse JSON-LD for addresses', { error: err.message });
+    }
+  });
+  
+  return addresses;
+}
+
+/**
+ * Addresses from microdata (itemtype schema.org/PostalAddress)
+ * @param {CheerioAPI} $
+ * @returns {Array<Object>}
+ */
+function extractMicrodataAddresses($) {
+  return $('[itemtype*="schema.org/PostalAddress"]').map((_, el) => {
+    const scope = $(el);
+    const prop = (name) => {
+      const elem = scope.find(`[itemprop="${name}"]`).first();
+      return elem.attr('content') || elem.text();
+    };
+    return fromPostalAddress({
+      streetAddress: prop('streetAddress'),
+      postalCode: prop('postalCode'),
+      addressLocality: prop('addressLocality'),
+      addressCountry: prop('addressCountry')
+    }, 'microdata');
+  }).get().filter(Boolean);
+}
+
+/**
+ * Page text with line breaks at <br> and block element boundaries
+ * @param {CheerioAPI} $
+ * @returns {string[]} Non-empty lines
+ */
+function textLines($) {
+  const parts = [];
+  const walk = (node) => {
+    for (const child of node.children || []) {
+      if (child.type === 'text') {
+        parts.push(child.data);
+      } else if (child.type === 'tag') {
+        if (SKIP_TAGS.has(child.name)) continue;
+        if (child.name === 'br') {
+          parts.push('\n');
+          continue;
+        }
+        const block = BLOCK_TAGS.has(child.name);
+        if (block) parts.push('\n');
+        walk(child);
+        if (block) parts.push('\n');
+      }
+    }
+  };
+  
+  const body = $('body').get(0);
+  if (body) walk(body);
+  return parts.join('').split('\n').map(clean).filter(Boolean);
+}
+
+/**
+ * Parse Swedish addresses from lines of text
+ * The street may precede the postcode on the same line
+ * ("Storgatan 1, 123 45 Stockholm") or stand on the line before it.
+ * @param {string|string[]} text
+ * @param {string} source
+ * @returns {Array<Object>}
+ */
+export function parseAddressText(text, source = 'text') {
+  const lines = Array.isArray(text) ? text : [clean(text)];
+  const addresses = [];
+  
+  lines.forEach((line, i) => {
+    const match = line.match(POSTCODE_CITY);
+    if (!match) return;
+    
+    const before = line.slice(0, match.index);
+    let street = before.match(STREET)?.[1];
+    let labelText = before;
+    if (!street && !before.trim() && i > 0) {
+      street = lines[i - 1].match(STREET)?.[1];
+      labelText = lines[i - 1] + ' ' + (lines[i - 2] || '');
+    }
+    if (!street) return;
+    
+    addresses.push({
+      street: clean(street),
+      postalCode: `${match[1]} ${match[2]}`,
+      city: match[3],
+      country: 'SE',
+      type: detectType(labelText),
+      source
+    });
+  });
+  
+  return addresses;
+}
+
+function addressKey(address) {
+  return `${(address.street || '').toLowerCase()}|${(address.postalCode || '').replace(/\s/g, '')}`;
+}
+
+/**
+ * Merge address lists, dropping duplicates (same street and postcode)
+ * The best-sourced copy wins; a known type is kept.
+ * @param {Array<Object>} addresses
+ * @returns {Array<Object>} At most MAX_ADDRESSES, visiting addresses first
+ */
+export function mergeAddresses(addresses) {
+  const byKey = new Map();
+  
+  for (const address of addresses) {
+    const key = addressKey(address);
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, { ...address });
+    } else {
+      if (SOURCE_RANK[address.source] > SOURCE_RANK[existing.source]) {
+        byKey.set(key, { ...address, type: address.type || existing.type });
+      } else {
+        existing.type ||= address.type;
+      }
+    }
+  }
+  
+  const typeOrder = { visit: 0, postal: 1 };
+  return [...byKey.values()]
+    .sort((a, b) => (typeOrder[a.type] ?? 2) - (typeOrder[b.type] ?? 2))
+    .slice(0, MAX_ADDRESSES);
+}
+
+/**
+ * Extract postal addresses from a page (JSON-LD, microdata, text)
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @returns {Array<{street: string|null, postalCode: string|null, city: string|null, country: string|null, type: string|null, source: string}>}
+ */
+export function extractAddresses($) {
+  return mergeAddresses([
+    ...extractJsonLdAddresses($),
+    ...extractMicrodataAddresses($),
+    ...parseAddressText(textLines($))
+  ]);
+}
+
+/**
+ * One-line form: "Storgatan 1, 123 45 Stockholm"
+ * @param {Object} address
+ * @returns {string}
+ */
+export function formatAddress(address) {
+  const place = [address.postalCode, address.city].filter(Boolean).join(' ');
+  return [address.street, place].filter(Boolean).join(', ');
+}
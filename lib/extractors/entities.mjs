@@ -0,0 +1,144 @@
+import { classifySocialUrl, emptySocials } from './social.mjs';
+
+/**
+ * schema.org Organization and LocalBusiness subtypes
+ * Not exhaustive; TYPE_SUFFIX catches most of the rest (PlumbingService, PetStore, ...).
+ */
+const ORGANIZATION_TYPES = new Set([
+  // Organization and direct subtypes
+  'Organization', 'Airline', 'Consortium', 'Cooperative', 'Corporation', 'EducationalOrganization',
+  'FundingScheme', 'GovernmentOrganization', 'LibrarySystem', 'LocalBusiness', 'MedicalOrganization',
+  'NGO', 'NewsMediaOrganization', 'OnlineBusiness', 'OnlineStore', 'PerformingGroup', 'PoliticalParty',
+  'Project', 'ResearchOrganization', 'SearchRescueOrganization', 'SportsOrganization', 'SportsTeam',
+  'WorkersUnion', 'CollegeOrUniversity', 'School', 'Preschool', 'HighSchool', 'MiddleSchool',
+  'ElementarySchool', 'Hospital', 'DiagnosticLab', 'VeterinaryCare', 'Pharmacy', 'Physician',
+  // LocalBusiness subtypes
+  'AnimalShelter', 'ArchiveOrganization', 'AutomotiveBusiness', 'AutoBodyShop', 'AutoDealer',
+  'AutoPartsStore', 'AutoRental', 'AutoRepair', 'AutoWash', 'GasStation', 'MotorcycleDealer',
+  'MotorcycleRepair', 'ChildCare', 'Dentist', 'DryCleaningOrLaundry', 'EmergencyService',
+  'FireStation', 'PoliceStation', 'EmploymentAgency', 'EntertainmentBusiness', 'ArtGallery',
+  'Casino', 'MovieTheater', 'NightClub', 'FinancialService', 'AccountingService', 'AutomatedTeller',
+  'BankOrCreditUnion', 'InsuranceAgency', 'FoodEstablishment', 'Bakery', 'BarOrPub', 'Brewery',
+  'CafeOrCoffeeShop', 'Distillery', 'FastFoodRestaurant', 'IceCreamShop', 'Restaurant', 'Winery',
+  'GovernmentOffice', 'PostOffice', 'HealthAndBeautyBusiness', 'BeautySalon', 'DaySpa', 'HairSalon',
+  'HealthClub', 'NailSalon', 'TattooParlor', 'HomeAndConstructionBusiness', 'Electrician',
+  'GeneralContractor', 'HVACBusiness', 'HousePainter', 'Locksmith', 'MovingCompany', 'Plumber',
+  'RoofingContractor', 'InternetCafe', 'LegalService', 'Attorney', 'Notary', 'Library',
+  'LodgingBusiness', 'BedAndBreakfast', 'Campground', 'Hostel', 'Hotel', 'Motel', 'Resort',
+  'MedicalBusiness', 'MedicalClinic', 'Optician', 'ProfessionalService', 'RadioStation',
+  'RealEstateAgent', 'RecyclingCenter', 'SelfStorage', 'ShoppingCenter', 'SportsActivityLocation',
+  'BowlingAlley', 'ExerciseGym', 'GolfCourse', 'SportsClub', 'StadiumOrArena', 'TennisComplex',
+  'Store', 'BikeStore', 'BookStore', 'ClothingStore', 'ComputerStore', 'ConvenienceStore',
+  'DepartmentStore', 'ElectronicsStore', 'Florist', 'FurnitureStore', 'GardenStore', 'GroceryStore',
+  'HardwareStore', 'HobbyShop', 'HomeGoodsStore', 'JewelryStore', 'LiquorStore', 'MensClothingStore',
+  'MobilePhoneStore', 'MovieRentalStore', 'MusicStore', 'OfficeEquipmentStore', 'OutletStore',
+  'PawnShop', 'PetStore', 'ShoeStore', 'SportingGoodsStore', 'TireShop', 'ToyStore', 'WholesaleStore',
+  'TelevisionStation', 'TouristInformationCenter', 'TravelAgency'
+]);
+const TYPE_SUFFIX = /(Business|Organization|Store|Shop|Service|Agency|Contractor|Clinic|Office|Company)$/;
+
+const SCHEMA_PREFIX = /^(https?:\/\/schema\.org\/|schema:)/i;
+
+/**
+ * Wrap a value in an array (null/undefined -> [])
+ * @param {*} value
+ * @returns {Array}
+ */
+export function toArray(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Strip schema.org prefixes: "http://schema.org/Dentist" / "schema:Dentist" -> "Dentist"
+ * @param {string} type
+ * @returns {string}
+ */
+export function normalizeType(type) {
+  return String(type || '').trim().replace(SCHEMA_PREFIX, '');
+}
+
+/**
+ * Whether any of the given types is an organization or business
+ * @param {string|string[]} types
+ * @returns {boolean}
+ */
+export function isOrganizationType(types) {
+  return toArray(types).map(normalizeType).some(t => ORGANIZATION_TYPES.has(t) || TYPE_SUFFIX.test(t));
+}
+
+/**
+ * Empty contact collection, the shape returned by every structured-data extractor
+ * @returns {{emails: Array, phones: Array, socials: Object}}
+ */
+export function emptyContacts() {
+  return {
+    emails: [],
+    phones: [],
+    socials: emptySocials()
+  };
+}
+
+function cleanEmail(value) {
+  return typeof value === 'string' ? value.replace(/^mailto:/i, '').trim() : null;
+}
+
+function cleanPhone(value) {
+  return typeof value === 'string' ? value.replace(/^tel:/i, '').trim() : null;
+}
+
+/**
+ * Add one organization's email, phone, sameAs and contact points to a collection
+ * @param {Object} contacts - From emptyContacts()
+ * @param {{types: string[], email: Array, telephone: Array, sameAs: Array, contactPoint: Array}} entity
+ * @param {{source: string, contactPointSource: string}} sources - Source labels for the evidence
+ */
+export function addEntityContacts(contacts, entity, { source, contactPointSource }) {
+  const context = entity.types.map(normalizeType).join(',');
+  
+  for (const email of toArray(entity.email).map(cleanEmail).filter(Boolean)) {
+    contacts.emails.push({ email, source, confidence: 0.95, context });
+  }
+  for (const phone of toArray(entity.telephone).map(cleanPhone).filter(Boolean)) {
+    contacts.phones.push(phone);
+  }
+  
+  // Social profiles (sameAs)
+  for (const url of toArray(entity.sameAs)) {
+    const social = typeof url === 'string' ? classifySocialUrl(url) : null;
+    if (social) contacts.socials[social.network] = social.url;
+  }
+  
+  // ContactPoint
+  for (const point of toArray(entity.contactPoint)) {
+    if (!point || typeof point !== 'object') continue;
+    for (const email of toArray(point.email).map(cleanEmail).filter(Boolean)) {
+      contacts.emails.push({
+        email,
+        source: contactPointSource,
+        confidence: 0.95,
+        contactType: point.contactType || 'general'
+      });
+    }
+    for (const phone of toArray(point.telephone).map(cleanPhone).filter(Boolean)) {
+      contacts.phones.push(phone);
+    }
+  }
+}
+
+/**
+ * Merge several contact collections (later socials only fill gaps)
+ * @param {...Object} collections
+ * @returns {Object}
+ */
+export function mergeContacts(...collections) {
+  const merged = emptyContacts();
+  for (const c of collections) {
+    merged.emails.push(...c.emails);
+    merged.phones.push(...c.phones);
+    for (const network of Object.keys(merged.socials)) {
+      merged.socials[network] ||= c.socials[network];
+    }
+  }
+  return merged;
+}
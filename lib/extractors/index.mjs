@@ -1,26 +1,30 @@
 import { extractJsonLd } from './jsonLd.mjs';
-import { logger } from '../logger.mjs';
-
-const KEY_PAGES = /(kontakt|kontakta|about|om|team|medarbetare|personal|ledning|contact)/i;
+import { extractMicrodata, extractRdfa } from './microdata.mjs';
+import { mergeContacts } from './entities.mjs';
+import { extractSocialLinks } from './social.mjs';
+import { extractPeople } from './people.mjs';
+import { extractOrgNumbers } from './orgNumber.mjs';
+import { extractAddresses } from './address.mjs';
+import { extractObfuscatedEmails, visibleText } from './obfuscation.mjs';
+import { getCountryProfile } from '../countryProfiles.mjs';
 
 /**
  * Extract all contact information from a page
  * @param {CheerioAPI} $ - Cheerio instance
  * @param {string} url - Page URL
  * @param {string} host - Website hostname
- * @returns {Object} Extracted contacts with sources and confidence
+ * @param {string} [html] - Raw HTML, for entity-encoded addresses
+ * @returns {Object} Extracted contacts with sources and confidence (the source's strength, see scoring.mjs)
  */
-export function extractContacts($, url, host) {
+export function extractContacts($, url, host, html = '') {
   const allSources = [];
-  const pathname = new URL(url).pathname.toLowerCase();
-  const isContactPage = KEY_PAGES.test(pathname);
   
-  // 1. JSON-LD (highest priority)
-  const jsonLd = extractJsonLd($);
-  allSources.push(...jsonLd.emails);
+  // 1. Structured data: JSON-LD, microdata, RDFa (highest priority)
+  const structured = mergeContacts(extractJsonLd($), extractMicrodata($), extractRdfa($));
+  allSources.push(...structured.emails);
   
-  // 2. Mailto links
-  const mailtos = $('a[href^="mailto:"]')
+  // 2. Mailto links (footer links are counted once, as footer, in step 4)
+  const mailtos = $('a[href^="mailto:"]').not('footer a')
     .map((_, a) => {
       const href = $(a).attr('href') || '';
       const email = href.replace(/^mailto:/i, '').split('?')[0].trim();
@@ -33,13 +37,13 @@ export function extractContacts($, url, host) {
     .get();
   allSources.push(...mailtos);
   
-  // 3. Inline emails from text
-  const text = $('body').text();
-  const emailMatches = text.match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,24}/gi) || [];
+  // 3. Inline emails from text (scripts are decoded in step 5)
+  const text = visibleText($);
+  const emailMatches = text.match(/[A-Z0-9._%+-]+@[\p{L}\p{N}.-]+\.(?:[A-Z]{2,24}|xn--[A-Z0-9-]{2,59})/giu) || [];
   const inlineEmails = emailMatches.map(email => ({
     email: email.trim(),
     source: 'inline',
-    confidence: isContactPage ? 0.70 : 0.50
+    confidence: 0.50
   }));
   allSources.push(...inlineEmails);
   
@@ -57,45 +61,102 @@ export function extractContacts($, url, host) {
     .get();
   allSources.push(...footerEmails);
   
+  // 5. Obfuscated addresses: Cloudflare, [at]/[punkt], encoded mailtos, scripts
+  allSources.push(...extractObfuscatedEmails($, html));
+  
+  // 6. People (team pages, JSON-LD Person); card emails are already covered by mailto
+  const people = extractPeople($, url);
+  for (const person of people) {
+    if (person.email && person.source !== 'team-page') {
+      allSources.push({ email: person.email, source: person.source, confidence: 0.90 });
+    }
+  }
+  
+  // 7. Social profiles: structured sameAs first, then linked icons
+  const socials = { ...structured.socials };
+  for (const [network, profile] of Object.entries(extractSocialLinks($, url))) {
+    socials[network] ||= profile;
+  }
+  
   return {
     emails: allSources,
-    phones: jsonLd.phones,
-    socials: jsonLd.socials
+    phones: structured.phones,
+    socials,
+    people,
+    orgNumbers: extractOrgNumbers($),
+    addresses: extractAddresses($)
   };
 }
 
 /**
- * Extract contact page links
+ * Score how likely a page is to hold contact details
+ * @param {string} pathname - URL path
+ * @param {string} linkText - Anchor text (optional)
+ * @param {Object} [profile] - Country profile (ranking signals)
+ * @returns {number} Score, 0 when no signal matches
+ */
+export function scoreLink(pathname, linkText = '', profile = getCountryProfile()) {
+  let score = 0;
+  
+  for (const signal of profile.linkSignals) {
+    if (signal.path.test(pathname)) score += signal.weight;
+    if (linkText && signal.text.test(linkText)) score += signal.weight / 2;
+  }
+  if (score === 0) return 0;
+  
+  // Prefer shallow pages: /kontakt over /blogg/2019/kontakta-oss-for-offert
+  const depth = pathname.split('/').filter(Boolean).length;
+  return Math.max(0.5, score - Math.max(0, depth - 1));
+}
+
+/**
+ * Discover same-site links that look like contact pages
  * @param {CheerioAPI} $ - Cheerio instance
- * @param {string} baseUrl - Base URL
- * @returns {Array<string>} Contact page URLs
+ * @param {string} baseUrl - URL of the page being parsed
+ * @param {Object} [profile] - Country profile
+ * @returns {Array<{url: string, score: number}>} Candidates, best first
  */
-export function findContactPages($, baseUrl) {
-  const links = [];
-  const base = new URL(baseUrl);
+export function discoverLinks($, baseUrl, profile = getCountryProfile()) {
+  const candidates = new Map();
+  const baseHost = new URL(baseUrl).hostname.replace(/^www\./i, '');
   
   $('a[href]').each((_, elem) => {
     const href = $(elem).attr('href');
-    if (!href) return;
+    if (!href || /^(mailto|tel|javascript):/i.test(href)) return;
     
     try {
       const url = new URL(href, baseUrl);
       
-      // Same domain only
-      if (url.hostname !== base.hostname) return;
+      // Same site only (www and bare host count as the same)
+      if (url.hostname.replace(/^www\./i, '') !== baseHost) return;
       
-      const pathname = url.pathname.toLowerCase();
-      const linkText = $(elem).text().toLowerCase();
+      url.hash = '';
+      const pathname = decodeURIComponent(url.pathname).toLowerCase();
+      const linkText = $(elem).text().replace(/\s+/g, ' ').trim().toLowerCase();
       
-      // Match contact-related paths or text
-      if (KEY_PAGES.test(pathname) || KEY_PAGES.test(linkText)) {
-        links.push(url.href);
+      const score = scoreLink(pathname, linkText, profile);
+      if (score <= 0) return;
+      
+      const existing = candidates.get(url.href);
+      if (!existing || score > existing.score) {
+        candidates.set(url.href, { url: url.href, score });
       }
     } catch {
       // Invalid URL, skip
     }
   });
   
-  return [...new Set(links)].slice(0, 5); // Max 5 contact pages
+  return [...candidates.values()].sort((a, b) => b.score - a.score);
 }
 
+/**
+ * Extract contact page links
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {string} baseUrl - Base URL
+ * @returns {Array<string>} Contact page URLs
+ */
+export function findContactPages($, baseUrl) {
+  return discoverLinks($, baseUrl)
+    .slice(0, 5) // Max 5 contact pages
+    .map(link => link.url);
+}
@@ -1,92 +1,97 @@
 import { logger } from '../logger.mjs';
+import { toArray, normalizeType, isOrganizationType, emptyContacts, addEntityContacts } from './entities.mjs';
 
 /**
- * Extract contact information from JSON-LD structured data
+ * Properties followed when walking nested entities
+ * Kept narrow on purpose: a product's manufacturer or a review's author is
+ * someone else's organization.
+ */
+const NESTED_KEYS = [
+  '@graph', 'publisher', 'parentOrganization', 'subOrganization', 'department', 'mainEntity',
+  'provider', 'location', 'worksFor', 'employee', 'employees', 'founder', 'member'
+];
+
+/**
+ * Types of a JSON-LD node, schema.org prefixes stripped
+ * @param {Object} node
+ * @returns {string[]}
+ */
+export function nodeTypes(node) {
+  return toArray(node?.['@type']).filter(t => typeof t === 'string').map(normalizeType);
+}
+
+/**
+ * Parse every JSON-LD block on a page and flatten it into a list of nodes
+ * Walks @graph and nested organization properties; `{"@id": ...}` references
+ * (as written by Yoast and Rank Math) are resolved against the other nodes.
  * @param {CheerioAPI} $ - Cheerio instance
- * @returns {Object} Extracted contacts
+ * @returns {Array<Object>} Distinct nodes, in document order
  */
-export function extractJsonLd($) {
-  const scripts = $('script[type="application/ld+json"]').toArray();
-  const contacts = { 
-    emails: [], 
-    phones: [], 
-    socials: {
-      linkedin: null,
-      facebook: null,
-      x: null
-    }
-  };
-  
-  for (const script of scripts) {
+export function jsonLdNodes($) {
+  const roots = [];
+  $('script[type="application/ld+json"]').each((_, script) => {
     try {
       const jsonText = $(script).html();
-      if (!jsonText) continue;
-      
-      const data = JSON.parse(jsonText);
-      const items = Array.isArray(data) ? data : [data];
-      
-      for (const item of items) {
-        if (!item || !item['@type']) continue;
-        
-        // Handle Organization, LocalBusiness, Corporation, etc.
-        const validTypes = ['Organization', 'LocalBusiness', 'Corporation', 'Store', 'ProfessionalService'];
-        if (validTypes.includes(item['@type'])) {
-          // Direct email
-          if (item.email) {
-            contacts.emails.push({ 
-              email: item.email, 
-              source: 'json-ld', 
-              confidence: 0.95,
-              context: item['@type']
-            });
-          }
-          
-          // Direct telephone
-          if (item.telephone) {
-            contacts.phones.push(item.telephone);
-          }
-          
-          // Social profiles (sameAs)
-          if (item.sameAs) {
-            const urls = Array.isArray(item.sameAs) ? item.sameAs : [item.sameAs];
-            for (const url of urls) {
-              if (typeof url !== 'string') continue;
-              
-              if (url.includes('linkedin.com')) {
-                contacts.socials.linkedin = url;
-              } else if (url.includes('facebook.com')) {
-                contacts.socials.facebook = url;
-              } else if (url.includes('twitter.com') || url.includes('x.com')) {
-                contacts.socials.x = url;
-              }
-            }
-          }
-          
-          // ContactPoint
-          if (item.contactPoint) {
-            const points = Array.isArray(item.contactPoint) ? item.contactPoint : [item.contactPoint];
-            for (const point of points) {
-              if (point.email) {
-                contacts.emails.push({ 
-                  email: point.email, 
-                  source: 'json-ld-contactpoint', 
-                  confidence: 0.95,
-                  contactType: point.contactType || 'general'
-                });
-              }
-              if (point.telephone) {
-                contacts.phones.push(point.telephone);
-              }
-            }
-          }
-        }
-      }
+      if (jsonText) roots.push(JSON.parse(jsonText));
     } catch (err) {
       // Invalid JSON-LD, skip silently
       logger.debug('Failed to parse JSON-LD', { error: err.message });
     }
+  });
+  
+  // Index every node carrying an @id and more than a reference
+  const byId = new Map();
+  const index = (value) => {
+    if (Array.isArray(value)) return value.forEach(index);
+    if (!value || typeof value !== 'object') return;
+    if (typeof value['@id'] === 'string' && Object.keys(value).length > 1 && !byId.has(value['@id'])) {
+      byId.set(value['@id'], value);
+    }
+    Object.values(value).forEach(index);
+  };
+  roots.forEach(index);
+  
+  const nodes = [];
+  const seen = new Set();
+  const visit = (value) => {
+    if (Array.isArray(value)) return value.forEach(visit);
+    if (!value || typeof value !== 'object') return;
+    
+    const isReference = typeof value['@id'] === 'string' && Object.keys(value).length === 1;
+    const node = isReference ? byId.get(value['@id']) : value;
+    if (!node || seen.has(node)) return;
+    
+    seen.add(node);
+    nodes.push(node);
+    for (const key of NESTED_KEYS) visit(node[key]);
+  };
+  roots.forEach(visit);
+  
+  return nodes;
+}
+
+/**
+ * Extract contact information from JSON-LD structured data
+ * Any schema.org Organization or LocalBusiness subtype counts, including
+ * array types (["LocalBusiness", "Electrician"]).
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @returns {Object} Extracted contacts
+ */
+export function extractJsonLd($) {
+  const contacts = emptyContacts();
+  
+  for (const node of jsonLdNodes($)) {
+    const types = nodeTypes(node);
+    if (!isOrganizationType(types)) continue;
+    
+    addEntityContacts(contacts, {
+      types,
+      email: node.email,
+      telephone: node.telephone,
+      sameAs: node.sameAs,
+      contactPoint: toArray(node.contactPoint)
+    }, { source: 'json-ld', contactPointSource: 'json-ld-contactpoint' });
   }
   
   return contacts;
 }
-
@@ -0,0 +1,92 @@
+import { isOrganizationType, emptyContacts, addEntityContacts } from './entities.mjs';
+
+/**
+ * Value of a property element, per the microdata/RDFa rules that matter here
+ * @param {Cheerio} elem
+ * @returns {string}
+ */
+function propertyValue(elem) {
+  const value = elem.attr('content') ?? elem.attr('href') ?? elem.attr('resource') ?? elem.text();
+  return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Read one item's properties
+ * Properties of nested items belong to those items, except for contact points,
+ * which are returned separately.
+ * @param {CheerioAPI} $
+ * @param {Element} item - Element carrying itemscope / typeof
+ * @param {{scope: string, prop: string, names: function, types: function}} syntax - MICRODATA or RDFA
+ * @returns {Object} Entity for addEntityContacts
+ */
+function readItem($, item, syntax) {
+  const own = (name, root = item) => $(root).find(`[${syntax.prop}]`)
+    .filter((_, el) => $(el).parent().closest(`[${syntax.scope}]`).get(0) === root)
+    .filter((_, el) => syntax.names($(el).attr(syntax.prop)).includes(name))
+    .map((_, el) => propertyValue($(el)))
+    .get()
+    .filter(Boolean);
+  
+  const contactPoint = $(item).find(`[${syntax.scope}]`)
+    .filter((_, el) => syntax.types($(el)).includes('ContactPoint'))
+    .map((_, el) => ({
+      email: own('email', el),
+      telephone: own('telephone', el),
+      contactType: own('contactType', el)[0]
+    }))
+    .get();
+  
+  return {
+    types: syntax.types($(item)),
+    email: own('email'),
+    telephone: own('telephone'),
+    sameAs: own('sameAs'),
+    contactPoint
+  };
+}
+
+function extractWith($, syntax, sources) {
+  const contacts = emptyContacts();
+  
+  $(`[${syntax.scope}]`).each((_, item) => {
+    if (!isOrganizationType(syntax.types($(item)))) return;
+    addEntityContacts(contacts, readItem($, item, syntax), sources);
+  });
+  
+  return contacts;
+}
+
+// Last path segment of a schema.org type IRI
+const typeName = (iri) => iri.split(/[/#:]/).pop();
+
+const MICRODATA = {
+  scope: 'itemscope',
+  prop: 'itemprop',
+  names: (attr) => String(attr || '').split(/\s+/),
+  types: (elem) => String(elem.attr('itemtype') || '').split(/\s+/).filter(Boolean).map(typeName)
+};
+
+const RDFA = {
+  scope: 'typeof',
+  prop: 'property',
+  names: (attr) => String(attr || '').split(/\s+/).map(typeName),
+  types: (elem) => String(elem.attr('typeof') || '').split(/\s+/).filter(Boolean).map(typeName)
+};
+
+/**
+ * Extract contact information from schema.org microdata (itemscope/itemprop)
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @returns {Object} Extracted contacts, same shape as extractJsonLd
+ */
+export function extractMicrodata($) {
+  return extractWith($, MICRODATA, { source: 'microdata', contactPointSource: 'microdata-contactpoint' });
+}
+
+/**
+ * Extract contact information from schema.org RDFa (typeof/property)
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @returns {Object} Extracted contacts, same shape as extractJsonLd
+ */
+export function extractRdfa($) {
+  return extractWith($, RDFA, { source: 'rdfa', contactPointSource: 'rdfa-contactpoint' });
+}
@@ -0,0 +1,209 @@
+// Domains may be internationalized (målerifirma.se)
+const EMAIL = /[A-Z0-9._%+-]+@[\p{L}\p{N}.-]+\.(?:[A-Z]{2,24}|xn--[A-Z0-9-]{2,59})/giu;
+
+/**
+ * Strength per decoder, used as the sighting's confidence
+ * Decoded mailtos are as good as plain ones; text and script tricks are looser.
+ */
+const SOURCES = {
+  'cloudflare': 0.85,
+  'mailto-urlencoded': 0.85,
+  'html-entities': 0.80,
+  'obfuscated-text': 0.70,
+  'javascript': 0.60
+};
+
+// "info [at] firma [punkt] se", "info(a)firma.se", "info {at} firma (dot) se"
+const OPEN = '[\\[({<]\\s*';
+const CLOSE = '\\s*[\\])}>]';
+const AT = `\\s*(?:${OPEN}(?:at|snabel-?a|a|@)${CLOSE}|@)\\s*`;
+const DOT = `\\s*(?:${OPEN}(?:dot|punkt|prick|piste|pkt)${CLOSE}|\\.)\\s*`;
+const OBFUSCATED_TEXT = new RegExp(`([a-z0-9._%+-]+)(${AT})([a-z0-9-]+(?:${DOT}[a-z0-9-]+)*${DOT}[a-z]{2,24})\\b`, 'gi');
+const DOT_SPLIT = new RegExp(DOT, 'gi');
+const BRACKETED = new RegExp(OPEN, 'i');
+
+// Runs of address characters, plain or entity-encoded
+const ENTITY_RUN = /(?:&#x?[0-9a-f]+;|&commat;|&period;|[a-z0-9._%+\-@:])+/gi;
+const ENCODED = /&#x?[0-9a-f]+;|&commat;/i;
+
+// JavaScript terms joined by "+": string literals, String.fromCharCode(...) and identifiers
+const STRING = `'(?:\\\\.|[^'\\\\\\n])*'|"(?:\\\\.|[^"\\\\\\n])*"`;
+const TERM = `(?:${STRING}|String\\.fromCharCode\\([\\d\\s,]+\\)|[A-Za-z_$][\\w$]*)`;
+const CONCAT = new RegExp(`${TERM}(?:\\s*\\+\\s*${TERM})+`, 'g');
+const TERMS = new RegExp(TERM, 'g');
+const ASSIGNMENT = new RegExp(`([A-Za-z_$][\\w$]*)\\s*=\\s*(${STRING})`, 'g');
+const STRING_LITERAL = new RegExp(STRING, 'g');
+const FROM_CHAR_CODE = /String\.fromCharCode\(([\d\s,]+)\)/g;
+
+// Out-of-range code points (&#x110000;) are left undecoded instead of throwing
+function fromCodePoint(match, value) {
+  return value <= 0x10ffff ? String.fromCodePoint(value) : match;
+}
+
+/**
+ * Decode JavaScript/JSON escapes (\u0040, \x40, \/) in a string
+ * Keeps "\u003cinfo@firma.se\u003e" in inline scripts from turning into "u003cinfo@firma.se".
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeJsEscapes(text) {
+  return String(text || '')
+    .replace(/\\u\{([0-9a-f]{1,6})\}/gi, (match, hex) => fromCodePoint(match, parseInt(hex, 16)))
+    .replace(/\\u([0-9a-f]{4})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/\\x([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Decode a Cloudflare email-protection token: the first byte is an XOR key for the rest
+ * @param {string} hex
+ * @returns {string|null}
+ */
+export function decodeCloudflareEmail(hex) {
+  if (!/^([0-9a-f]{2}){2,}$/i.test(hex || '')) return null;
+  
+  const key = parseInt(hex.slice(0, 2), 16);
+  let email = '';
+  for (let i = 2; i < hex.length; i += 2) {
+    email += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16) ^ key);
+  }
+  return email;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => fromCodePoint(match, parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => fromCodePoint(match, parseInt(dec, 10)))
+    .replace(/&commat;/gi, '@')
+    .replace(/&period;/gi, '.');
+}
+
+// Elements that start a new line when rendered
+const BLOCKS = 'address, article, aside, blockquote, dd, div, dl, dt, figcaption, figure, footer, form, ' +
+  'h1, h2, h3, h4, h5, h6, header, li, main, nav, ol, p, pre, section, table, td, th, tr, ul';
+
+/**
+ * Body text without scripts and styles
+ * Block elements and <br> are separated by whitespace, so an address at the
+ * end of a paragraph does not run into the next one ("...firma.seTelefon").
+ * @param {CheerioAPI} $
+ * @returns {string}
+ */
+export function visibleText($) {
+  const body = $('body').clone();
+  body.find('script, style, noscript').remove();
+  body.find('br').replaceWith('\n');
+  body.find(BLOCKS).prepend('\n').append('\n');
+  return body.text();
+}
+
+function emailsIn(text) {
+  return String(text || '').match(EMAIL) || [];
+}
+
+function cloudflare($) {
+  const found = [];
+  $('[data-cfemail]').each((_, el) => {
+    found.push(decodeCloudflareEmail($(el).attr('data-cfemail')));
+  });
+  $('a[href*="/cdn-cgi/l/email-protection#"]').each((_, a) => {
+    found.push(decodeCloudflareEmail(($(a).attr('href') || '').split('#')[1]));
+  });
+  return found.flatMap(emailsIn);
+}
+
+function urlEncodedMailtos($) {
+  const found = [];
+  $('a[href]').each((_, a) => {
+    const href = ($(a).attr('href') || '').trim();
+    if (!/^mailto:/i.test(href) || !/%[0-9a-f]{2}/i.test(href)) return;
+    try {
+      found.push(...emailsIn(decodeURIComponent(href.replace(/^mailto:/i, '').split('?')[0])));
+    } catch {
+      // Malformed escape sequence
+    }
+  });
+  return found;
+}
+
+function entityEncoded(html) {
+  return (String(html || '').match(ENTITY_RUN) || [])
+    .filter(run => ENCODED.test(run))
+    .flatMap(run => emailsIn(decodeEntities(run)));
+}
+
+function obfuscatedText($) {
+  const text = visibleText($);
+  const found = [];
+  for (const [, local, at, domain] of text.matchAll(OBFUSCATED_TEXT)) {
+    // Plain addresses are the inline extractor's job
+    if (!BRACKETED.test(at) && !BRACKETED.test(domain)) continue;
+    found.push(`${local}@${domain.split(DOT_SPLIT).join('.')}`);
+  }
+  return found;
+}
+
+function evaluateTerm(term, variables) {
+  if (/^['"]/.test(term)) return decodeJsEscapes(term.slice(1, -1));
+  const codes = term.match(/^String\.fromCharCode\(([\d\s,]+)\)$/);
+  if (codes) return String.fromCharCode(...codes[1].split(',').map(Number));
+  return variables.get(term) ?? null;
+}
+
+function javascript($) {
+  const found = [];
+  
+  $('script').not('[type="application/ld+json"]').each((_, script) => {
+    const code = $(script).html() || '';
+    const decoded = [];
+    
+    // var user = 'info'; var domain = 'firma.se';
+    const variables = new Map();
+    for (const [, name, literal] of code.matchAll(ASSIGNMENT)) {
+      variables.set(name, decodeJsEscapes(literal.slice(1, -1)));
+    }
+    
+    // 'info' + '@' + domain; every identifier must be a known string
+    for (const [expression] of code.matchAll(CONCAT)) {
+      const parts = expression.match(TERMS).map(term => evaluateTerm(term, variables));
+      if (parts.every(part => part !== null)) decoded.push(parts.join(''));
+    }
+    // 'info\x40firma.se', String.fromCharCode(105, 110, ...)
+    for (const [literal] of code.matchAll(STRING_LITERAL)) decoded.push(decodeJsEscapes(literal.slice(1, -1)));
+    for (const [, codes] of code.matchAll(FROM_CHAR_CODE)) decoded.push(String.fromCharCode(...codes.split(',').map(Number)));
+    
+    found.push(...decoded.flatMap(emailsIn));
+  });
+  
+  return found;
+}
+
+/**
+ * Recover addresses hidden from scrapers
+ * Each decoder reports its own source: cloudflare (data-cfemail and
+ * /cdn-cgi/l/email-protection links), mailto-urlencoded (%40 in mailto hrefs),
+ * html-entities (&#105;&#110;... in the raw HTML), obfuscated-text
+ * ("info [at] firma [punkt] se", "info(a)firma.se") and javascript (script
+ * strings, including concatenation, \x40 escapes and String.fromCharCode;
+ * the inline extractor skips scripts).
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {string} [html] - Raw HTML; entities are already decoded in $
+ * @returns {Array<{email: string, source: string, confidence: number}>}
+ */
+export function extractObfuscatedEmails($, html = '') {
+  const decoders = {
+    'cloudflare': () => cloudflare($),
+    'mailto-urlencoded': () => urlEncodedMailtos($),
+    'html-entities': () => entityEncoded(html),
+    'obfuscated-text': () => obfuscatedText($),
+    'javascript': () => javascript($)
+  };
+  
+  const results = [];
+  for (const [source, decode] of Object.entries(decoders)) {
+    for (const email of new Set(decode().map(e => e.trim()))) {
+      results.push({ email, source, confidence: SOURCES[source] });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,76 @@
+import { logger } from '../logger.mjs';
+import { normalizeOrgNumber } from '../validators/orgNumber.mjs';
+
+// "Org.nr 556123-4567", "Organisationsnummer: 5561234567", "Corporate ID no. 556123-4567"
+const LABELED = /(?:org(?:anisations)?\.?\s*-?\s*(?:nr|nummer|no)|organisationsnr|corporate\s+id(?:\s+no)?|company\s+reg(?:istration)?\.?\s*(?:no|number)|reg\.?\s*nr)\.?\s*:?\s*(\d{6}\s?[-–]?\s?\d{4})/gi;
+// "Momsreg.nr SE556123456701", "VAT: SE 556123-4567 01"
+const VAT = /\bSE\s?(\d{6}\s?[-–]?\s?\d{4})\s?01\b/gi;
+// Bare "556123-4567" (hyphen required, to keep phone numbers out)
+const BARE = /(?<![\d-])(\d{6}-\d{4})(?![\d-])/g;
+
+/**
+ * Source priority when one page shows several numbers
+ */
+export const ORG_NUMBER_SOURCES = {
+  'json-ld': 4,
+  'vat': 3,
+  'label': 3,
+  'pattern': 1
+};
+
+function collectJsonLd($) {
+  const values = [];
+  
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    
+    for (const key of ['vatID', 'taxID']) {
+      const value = node[key];
+      if (typeof value === 'string') values.push(value);
+      else if (typeof value?.value === 'string') values.push(value.value);
+    }
+    for (const child of Object.values(node)) {
+      if (child && typeof child === 'object') visit(child);
+    }
+  };
+  
+  $('script[type="application/ld+json"]').each((_, script) => {
+    try {
+      visit(JSON.parse($(script).html() || 'null'));
+    } catch (err) {
+      logger.debug('Failed to parse JSON-LD for org number', { error: err.message });
+    }
+  });
+  
+  return values;
+}
+
+/**
+ * Extract Swedish organisation numbers from a page
+ * Candidates are validated (legal entity, Luhn) before they are returned.
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @returns {Array<{orgNumber: string, source: 'json-ld'|'vat'|'label'|'pattern'}>}
+ */
+export function extractOrgNumbers($) {
+  const found = new Map();
+  
+  const add = (candidate, source) => {
+    const orgNumber = normalizeOrgNumber(candidate);
+    if (!orgNumber) return;
+    
+    const existing = found.get(orgNumber);
+    if (!existing || ORG_NUMBER_SOURCES[source] > ORG_NUMBER_SOURCES[existing.source]) {
+      found.set(orgNumber, { orgNumber, source });
+    }
+  };
+  
+  for (const value of collectJsonLd($)) add(value, 'json-ld');
+  
+  const text = $('body').text().replace(/\s+/g, ' ');
+  for (const match of text.matchAll(VAT)) add(`SE${match[1]}01`, 'vat');
+  for (const match of text.matchAll(LABELED)) add(match[1], 'label');
+  for (const match of text.matchAll(BARE)) add(match[1], 'pattern');
+  
+  return [...found.values()];
+}
@@ -0,0 +1,259 @@
+import { jsonLdNodes, nodeTypes } from './jsonLd.mjs';
+
+// Swedish, Norwegian, Danish and Finnish staff pages
+const PEOPLE_PAGES = /(team|medarbetare|personal|ledning|staff|people|anstallda|anställda|about|om-oss|om-os|ansatte|medarbeidere|medarbejdere|ledelse|henkilosto|henkilöstö|tiimi|meista|meistä)/i;
+const PERSON_CONTAINER = /(team|staff|person|people|employee|medarbetare|member|profile|card|kontaktperson)/i;
+const TITLE_CLASS = /(title|titel|role|roll|position|befattning|job)/i;
+const NAME_WORD = /^[A-ZÅÄÖÆØÉÈÜ][a-zåäöæøéèüß'’]+(-[A-ZÅÄÖÆØÉÈÜ]?[a-zåäöæøéèüß'’]+)*$/;
+const NOT_NAMES = new Set([
+  'kontakt', 'kontakta', 'oss', 'om', 'vårt', 'vår', 'team', 'läs', 'mer', 'ring', 'mejla', 'maila',
+  'kundtjänst', 'support', 'försäljning', 'ledning', 'personal', 'medarbetare', 'hem', 'start',
+  'contact', 'us', 'about', 'our', 'read', 'more', 'customer', 'service', 'sales', 'call', 'email',
+  'telefon', 'växel', 'adress', 'öppettider', 'box', 'ab', 'hb', 'kb'
+]);
+const MAX_CARD_TEXT = 400;
+const MAX_LEVELS = 4;
+
+/**
+ * Split a display name into first and last name
+ * @param {string} name
+ * @returns {{firstName: string, lastName: string}}
+ */
+export function splitName(name) {
+  const parts = name.trim().split(/\s+/);
+  return { firstName: parts[0] || '', lastName: parts.slice(1).join(' ') };
+}
+
+/**
+ * Check whether a text looks like a person's name ("Anna Svensson", "Per-Olof de Wit")
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function looksLikeName(text) {
+  const words = String(text || '').trim().split(/\s+/);
+  if (words.length < 2 || words.length > 4) return false;
+  
+  // Lowercase particles are fine inside a name, not at its ends
+  const particles = /^(af|av|von|van|de|der|den|la|le)$/;
+  return words.every((w, i) => {
+    if (NOT_NAMES.has(w.toLowerCase())) return false;
+    if (particles.test(w)) return i > 0 && i < words.length - 1;
+    return NAME_WORD.test(w);
+  });
+}
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function personFromJsonLd(item, source) {
+  const name = cleanText(
+    item.name || [item.givenName, item.familyName].filter(Boolean).join(' ')
+  );
+  if (!name) return null;
+  
+  const { firstName, lastName } = splitName(name);
+  return {
+    name,
+    firstName: cleanText(item.givenName) || firstName,
+    lastName: cleanText(item.familyName) || lastName,
+    title: cleanText(Array.isArray(item.jobTitle) ? item.jobTitle[0] : item.jobTitle) || null,
+    email: typeof item.email === 'string' ? item.email.replace(/^mailto:/i, '').trim().toLowerCase() : null,
+    phone: typeof item.telephone === 'string' ? item.telephone.trim() : null,
+    source
+  };
+}
+
+/**
+ * Persons from JSON-LD: Person nodes anywhere in the graph, including
+ * Organization employee/founder/member entries
+ * @param {CheerioAPI} $
+ * @returns {Array<Object>}
+ */
+function extractJsonLdPeople($) {
+  return jsonLdNodes($)
+    .filter(node => nodeTypes(node).includes('Person'))
+    .map(node => personFromJsonLd(node, 'json-ld-person'))
+    .filter(Boolean);
+}
+
+/**
+ * Distinct person names in an element
+ * @param {CheerioAPI} $
+ * @param {Cheerio} elem
+ * @returns {string[]}
+ */
+function namesIn($, elem) {
+  const names = elem.find('h1, h2, h3, h4, h5, h6, strong, b, [class*="name"], [class*="namn"]')
+    .map((_, el) => cleanText($(el).text()))
+    .get()
+    .filter(looksLikeName);
+  return [...new Set(names)];
+}
+
+/**
+ * Find the name and title inside a person card
+ * @param {CheerioAPI} $
+ * @param {Cheerio} card
+ * @returns {{name: string, title: string|null}|null} Null unless exactly one name is shown
+ */
+function readCard($, card) {
+  const names = namesIn($, card);
+  if (names.length !== 1) return null;
+  
+  const [name] = names;
+  
+  // Title: an element marked as such, else the first short text line after the name
+  let title = cleanText(card.find('*').filter((_, el) => TITLE_CLASS.test($(el).attr('class') || '')).first().text());
+  if (!title || title === name) {
+    const lines = card.find('*')
+      .filter((_, el) => $(el).children().length === 0)
+      .map((_, el) => cleanText($(el).text()))
+      .get()
+      .filter(Boolean);
+    const afterName = lines.slice(lines.indexOf(name) + 1);
+    title = afterName.find(line =>
+      line.length <= 80 && !line.includes('@') && !/\d{3}/.test(line) && !looksLikeName(line)
+    ) || '';
+  }
+  
+  return { name, title: title && title !== name ? title : null };
+}
+
+/**
+ * Persons shown as cards on team/staff pages
+ * A card is the closest small ancestor of a mailto/tel link (or an element
+ * with a person-like class) that contains a name.
+ * @param {CheerioAPI} $
+ * @returns {Array<Object>}
+ */
+function extractCardPeople($) {
+  const people = [];
+  const seenCards = new Set();
+  
+  const anchors = $('a[href^="mailto:"], a[href^="tel:"]').toArray();
+  const classCards = $('[class]').filter((_, el) => PERSON_CONTAINER.test($(el).attr('class'))).toArray();
+  
+  const cards = [];
+  for (const anchor of anchors) {
+    let elem = $(anchor).parent();
+    for (let level = 0; level < MAX_LEVELS && elem.length; level++, elem = elem.parent()) {
+      if (cleanText(elem.text()).length > MAX_CARD_TEXT) break;
+      
+      // Stop once the element spans several people
+      const names = namesIn($, elem).length;
+      if (names > 1) break;
+      if (names === 1) {
+        cards.push(elem);
+        break;
+      }
+    }
+  }
+  for (const el of classCards) {
+    const elem = $(el);
+    if (cleanText(elem.text()).length <= MAX_CARD_TEXT) cards.push(elem);
+  }
+  
+  for (const card of cards) {
+    const node = card.get(0);
+    if (seenCards.has(node)) continue;
+    seenCards.add(node);
+    
+    const info = readCard($, card);
+    if (!info) continue;
+    
+    const mailto = card.find('a[href^="mailto:"]').first().attr('href');
+    const tel = card.find('a[href^="tel:"]').first().attr('href');
+    
+    people.push({
+      ...info,
+      ...splitName(info.name),
+      email: mailto ? mailto.replace(/^mailto:/i, '').split('?')[0].trim().toLowerCase() : null,
+      phone: tel ? tel.replace(/^tel:/i, '').trim() : null,
+      source: 'team-page'
+    });
+  }
+  
+  return people;
+}
+
+/**
+ * Merge duplicates of the same person (same name), keeping the most complete data
+ * @param {Array<Object>} people
+ * @returns {Array<Object>}
+ */
+export function mergePeople(people) {
+  const byName = new Map();
+  
+  for (const person of people) {
+    const key = person.name.toLowerCase();
+    const existing = byName.get(key);
+    if (!existing) {
+      byName.set(key, { ...person });
+      continue;
+    }
+    existing.title ||= person.title;
+    existing.email ||= person.email;
+    existing.phone ||= person.phone;
+  }
+  
+  return [...byName.values()];
+}
+
+/**
+ * Extract people (name, title, email, phone) from a page
+ * JSON-LD persons are read everywhere; HTML cards only on team/staff/about pages.
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {string} url - Page URL
+ * @returns {Array<{name: string, firstName: string, lastName: string, title: string|null, email: string|null, phone: string|null, source: string}>}
+ */
+export function extractPeople($, url) {
+  const people = extractJsonLdPeople($);
+  
+  let pathname = new URL(url).pathname;
+  try {
+    pathname = decodeURIComponent(pathname);
+  } catch {
+    // Malformed escape sequence, match the raw path
+  }
+  if (PEOPLE_PAGES.test(pathname)) {
+    people.push(...extractCardPeople($));
+  }
+  
+  return mergePeople(people);
+}
+
+function fold(text) {
+  return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z]/g, '');
+}
+
+/**
+ * Find the person an email address belongs to
+ * Exact address match first; otherwise the local part is compared with common
+ * name patterns (anna.svensson, asvensson, anna, a.svensson ...).
+ * @param {string} email
+ * @param {Array<Object>} people
+ * @returns {Object|null}
+ */
+export function matchPerson(email, people) {
+  const exact = people.find(p => p.email === email);
+  if (exact) return exact;
+  
+  const localpart = email.split('@')[0].toLowerCase();
+  const compact = localpart.replace(/[._-]/g, '');
+  
+  const matches = people.filter(p => {
+    const first = fold(p.firstName);
+    const last = fold(p.lastName);
+    if (!first) return false;
+    
+    const patterns = [first + last, first[0] + last, first + (last[0] || '')];
+    if (last) patterns.push(last + first);
+    if (patterns.includes(compact) && compact.length > 2) return true;
+    
+    // A bare first name only counts if it is long enough to be unambiguous
+    return compact === first && first.length >= 3;
+  });
+  
+  return matches.length === 1 ? matches[0] : null;
+}
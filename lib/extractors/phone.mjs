@@ -0,0 +1,153 @@
+import { parsePhoneNumberFromString, isSupportedCountry } from 'libphonenumber-js/max';
+
+const DEFAULT_PHONE_REGION = process.env.DEFAULT_PHONE_REGION || 'SE';
+
+// Phone-like runs of digits: "+46 8 123 45 67", "08-123 45 67", "(0)31 11 22 33"
+const CANDIDATE = /(\+?\d[\d\s().\-]{5,}\d)/g;
+const EMAIL = /[A-Z0-9._%+-]+@[\p{L}\p{N}.-]+\.(?:[A-Z]{2,24}|xn--[A-Z0-9-]{2,59})/giu;
+
+// Regions dialled without a trunk prefix: bare national numbers are accepted there
+const NO_TRUNK_PREFIX = new Set(['NO', 'DK', 'IS', 'LU']);
+// ccTLDs mostly used as generic domains
+const GENERIC_CCTLDS = new Set(['io', 'co', 'ai', 'me', 'tv', 'fm', 'ly', 'gg', 'to', 'ws', 'cc', 'app', 'eu']);
+const TLD_REGIONS = { uk: 'GB' };
+
+const TYPES = {
+  MOBILE: 'mobile',
+  FIXED_LINE: 'fixed',
+  FIXED_LINE_OR_MOBILE: 'fixed-or-mobile',
+  TOLL_FREE: 'toll-free',
+  SHARED_COST: 'shared-cost',
+  PREMIUM_RATE: 'premium',
+  VOIP: 'voip'
+};
+
+/**
+ * Phone types, as stored on ContactRecord.phones
+ */
+export const PHONE_TYPES = [...Object.values(TYPES), 'other'];
+
+const MAX_LEVELS = 4;
+const MAX_BLOCK_TEXT = 400;
+
+/**
+ * Phone region implied by a hostname's country-code TLD
+ * @param {string} host - "example.no"
+ * @returns {string|null} ISO region ("NO"), or null for generic TLDs
+ */
+export function regionForHost(host) {
+  const tld = String(host || '').toLowerCase().split('.').pop();
+  if (!tld || GENERIC_CCTLDS.has(tld)) return null;
+  
+  const region = TLD_REGIONS[tld] || tld.toUpperCase();
+  return /^[A-Z]{2}$/.test(region) && isSupportedCountry(region) ? region : null;
+}
+
+/**
+ * Default region for a site: the job's setting, else the TLD, else DEFAULT_PHONE_REGION
+ * @param {string|null} jobRegion
+ * @param {string} host
+ * @returns {string}
+ */
+export function resolvePhoneRegion(jobRegion, host) {
+  return jobRegion || regionForHost(host) || DEFAULT_PHONE_REGION;
+}
+
+/**
+ * Parse and classify one phone number
+ * National numbers need a trunk prefix ("08-...") except in regions that
+ * have none, which keeps org numbers and other digit runs out.
+ * @param {string} candidate - Raw text ("08-123 45 67", "+47 22 33 44 55")
+ * @param {string} region - Default region for national numbers
+ * @returns {{number: string, type: string, country: string|null}|null}
+ */
+export function parsePhone(candidate, region = DEFAULT_PHONE_REGION) {
+  let digits = String(candidate || '').replace(/[()\s\-.]/g, '');
+  if (digits.startsWith('00')) digits = '+' + digits.slice(2);
+  
+  const international = digits.startsWith('+');
+  if (!international && !digits.startsWith('0') && !NO_TRUNK_PREFIX.has(region)) return null;
+  
+  try {
+    const p = parsePhoneNumberFromString(digits, international ? undefined : region);
+    if (!p || !p.isValid()) return null;
+    if (p.number.length < 9 || p.number.length > 15 || /(\d)\1{6,}/.test(p.number)) return null;
+    
+    return { number: p.number, type: TYPES[p.getType()] || 'other', country: p.country || null };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse all phones in a text
+ * @param {string} text
+ * @param {string} region - Default region for national numbers
+ * @returns {Array<{number: string, type: string, country: string|null}>} Distinct numbers, in order
+ */
+export function parsePhones(text, region = DEFAULT_PHONE_REGION) {
+  const found = new Map();
+  for (const [candidate] of String(text || '').replace(/&nbsp;/g, ' ').matchAll(CANDIDATE)) {
+    const phone = parsePhone(candidate, region);
+    if (phone && !found.has(phone.number)) found.set(phone.number, phone);
+  }
+  return [...found.values()];
+}
+
+// Element text with a space between elements, so "Bo" + "bo@x.se" do not run together
+function spacedText(node) {
+  if (node.type === 'text') return node.data;
+  if (node.name === 'script' || node.name === 'style') return '';
+  return (node.children || []).map(spacedText).join(' ');
+}
+
+function emailsIn($, elem, text) {
+  const emails = new Set(elem.find('a[href^="mailto:"]').map((_, a) =>
+    ($(a).attr('href') || '').replace(/^mailto:/i, '').split('?')[0].trim().toLowerCase()
+  ).get());
+  for (const match of text.match(EMAIL) || []) emails.add(match.toLowerCase());
+  return emails;
+}
+
+/**
+ * Pair phones with the email shown next to them
+ * Climbs from each tel: link or phone text to the closest small block that
+ * contains exactly one email address.
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {string} region - Default region for national numbers
+ * @returns {Map<string, string>} E.164 number -> email
+ */
+export function associatePhones($, region = DEFAULT_PHONE_REGION) {
+  const pairs = new Map();
+  
+  const locations = [];
+  $('a[href^="tel:"]').each((_, a) => {
+    const phone = parsePhone(($(a).attr('href') || '').replace(/^tel:/i, ''), region);
+    if (phone) locations.push({ elem: $(a), number: phone.number });
+  });
+  $('body *').not('script, style, noscript').each((_, el) => {
+    const ownText = (el.children || []).filter(c => c.type === 'text').map(c => c.data).join(' ');
+    for (const phone of parsePhones(ownText, region)) {
+      locations.push({ elem: $(el), number: phone.number });
+    }
+  });
+  
+  for (const { elem, number } of locations) {
+    if (pairs.has(number)) continue;
+    
+    let block = elem;
+    for (let level = 0; level <= MAX_LEVELS && block.length; level++, block = block.parent()) {
+      const text = spacedText(block.get(0)).replace(/\s+/g, ' ');
+      if (text.length > MAX_BLOCK_TEXT) break;
+      
+      const emails = emailsIn($, block, text);
+      if (emails.size > 1) break;
+      if (emails.size === 1) {
+        pairs.set(number, [...emails][0]);
+        break;
+      }
+    }
+  }
+  
+  return pairs;
+}
@@ -0,0 +1,127 @@
+/**
+ * Supported networks
+ * origin: canonical origin used in the cleaned URL
+ * host: hostnames (www./m. stripped) that belong to the network
+ * profile: path of a company profile
+ * share: share, intent and embed paths that point elsewhere
+ * keep: query parameters that are part of the profile URL
+ */
+const NETWORKS = {
+  linkedin: {
+    origin: 'https://www.linkedin.com',
+    host: /^([a-z]{2}\.)?linkedin\.com$/,
+    profile: /^\/(company|school|showcase)\/[^/]+/,
+    share: /^\/(sharing|shareArticle|cws\/share)/i
+  },
+  facebook: {
+    origin: 'https://www.facebook.com',
+    host: /^(facebook\.com|fb\.com|[a-z]{2}-[a-z]{2}\.facebook\.com)$/,
+    profile: /^\/(profile\.php|(pages|people)\/[^/]+\/\d+|[A-Za-z0-9.\-]{2,})\/?/,
+    share: /^\/(sharer|share|dialog|plugins|tr|login|events|groups|watch|photo|story)(\.php|\/|$)/i,
+    keep: ['id']
+  },
+  x: {
+    origin: 'https://x.com',
+    host: /^(twitter\.com|x\.com)$/,
+    profile: /^\/[A-Za-z0-9_]{1,15}\/?$/,
+    share: /^\/(intent|share|home|search|hashtag|i|login)(\/|$)/i
+  },
+  instagram: {
+    origin: 'https://www.instagram.com',
+    host: /^instagram\.com$/,
+    profile: /^\/[A-Za-z0-9_.]{1,30}\/?$/,
+    share: /^\/(p|reel|reels|explore|accounts|stories|tv)(\/|$)/i
+  },
+  youtube: {
+    origin: 'https://www.youtube.com',
+    host: /^youtube\.com$/,
+    profile: /^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)/,
+    share: /^\/(watch|embed|shorts|results|playlist|share)(\/|$)/i
+  },
+  tiktok: {
+    origin: 'https://www.tiktok.com',
+    host: /^tiktok\.com$/,
+    profile: /^\/@[^/]+\/?$/,
+    share: /^\/(share|embed|tag|music)(\/|$)/i
+  }
+};
+
+/**
+ * Network keys in export order
+ */
+export const SOCIAL_NETWORKS = Object.keys(NETWORKS);
+
+/**
+ * Social object with every network set to null
+ * @returns {Object<string, null>}
+ */
+export function emptySocials() {
+  return Object.fromEntries(SOCIAL_NETWORKS.map(network => [network, null]));
+}
+
+/**
+ * Classify and clean a social profile URL
+ * Share/intent links, posts and videos are rejected; tracking parameters
+ * (utm_*, fbclid, igshid, si ...) and fragments are dropped.
+ * @param {string} href
+ * @param {string} [baseUrl] - For relative hrefs
+ * @returns {{network: string, url: string}|null}
+ */
+export function classifySocialUrl(href, baseUrl) {
+  let url;
+  try {
+    url = new URL(String(href || '').trim(), baseUrl);
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(url.protocol)) return null;
+  
+  const host = url.hostname.toLowerCase().replace(/^(www|m|mobile|web)\./, '');
+  for (const [network, rules] of Object.entries(NETWORKS)) {
+    if (!rules.host.test(host)) continue;
+    const profile = url.pathname.match(rules.profile);
+    if (rules.share.test(url.pathname) || !profile) return null;
+    
+    const query = new URLSearchParams();
+    for (const key of rules.keep || []) {
+      if (url.searchParams.has(key)) query.set(key, url.searchParams.get(key));
+    }
+    if (url.pathname.startsWith('/profile.php') && !query.has('id')) return null;
+    
+    // Sub-pages (/company/acme/about, /@acme/videos) collapse to the profile itself
+    const path = profile[0].replace(/\/+$/, '');
+    const search = query.toString();
+    return { network, url: `${rules.origin}${path}${search ? '?' + search : ''}` };
+  }
+  return null;
+}
+
+/**
+ * Find social profiles linked from a page (header/footer icons etc.)
+ * When a network is linked several times, the most frequent profile wins.
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {string} baseUrl - Page URL
+ * @returns {Object<string, string|null>} One URL per network
+ */
+export function extractSocialLinks($, baseUrl) {
+  const counts = new Map(); // url -> {network, count}
+  
+  $('a[href]').each((_, a) => {
+    const found = classifySocialUrl($(a).attr('href'), baseUrl);
+    if (!found) return;
+    
+    const entry = counts.get(found.url) ?? { network: found.network, count: 0 };
+    entry.count++;
+    counts.set(found.url, entry);
+  });
+  
+  const socials = emptySocials();
+  const best = {};
+  for (const [url, { network, count }] of counts) {
+    if (!best[network] || count > best[network]) {
+      best[network] = count;
+      socials[network] = url;
+    }
+  }
+  return socials;
+}
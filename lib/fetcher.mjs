@@ -1,18 +1,28 @@
 import { setTimeout as delay } from 'node:timers/promises';
 import { logger } from './logger.mjs';
 import { crawlCounter, crawlDuration } from './metrics.mjs';
+import { toAsciiUrl } from './idn.mjs';
 
 const REQUEST_TIMEOUT_MS = parseInt(process.env.REQUEST_TIMEOUT_MS) || 12000;
 const MAX_RETRIES = parseInt(process.env.MAX_RETRIES) || 3;
 const BOT_USER_AGENT = process.env.BOT_NAME || 'CSV-Webcrawler/2.0';
 
+const HTML_ACCEPT = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+const DEFAULT_ACCEPT_LANGUAGE = 'sv-SE,sv;q=0.9,en;q=0.8';
+const XML_ACCEPT = 'application/xml,text/xml,application/x-gzip;q=0.9,*/*;q=0.8';
+
 /**
- * Fetch HTML with exponential backoff, jitter, and realistic headers
+ * Fetch a URL with exponential backoff, jitter, and realistic headers
  * @param {string} url - URL to fetch
+ * @param {Object} options
+ * @param {string} options.accept - Accept header
+ * @param {string} [options.acceptLanguage] - Accept-Language header
+ * @param {RegExp} [options.contentType] - Required content type
+ * @param {Function} options.read - Reads the body from the Response
  * @param {number} attempt - Current retry attempt (0-indexed)
- * @returns {Promise<string>} HTML content
+ * @returns {Promise<*>} Body as returned by options.read
  */
-export async function fetchHtml(url, attempt = 0) {
+async function fetchWithRetry(url, options, attempt = 0) {
   const startTime = Date.now();
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
@@ -22,8 +32,8 @@ export async function fetchHtml(url, attempt = 0) {
       signal: controller.signal,
       headers: {
         'User-Agent': BOT_USER_AGENT,
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'sv-SE,sv;q=0.9,en;q=0.8',
+        'Accept': options.accept,
+        'Accept-Language': options.acceptLanguage || DEFAULT_ACCEPT_LANGUAGE,
         'Accept-Encoding': 'gzip, deflate, br',
         'Cache-Control': 'no-cache',
         'Sec-Fetch-Dest': 'document',
@@ -47,7 +57,7 @@ export async function fetchHtml(url, attempt = 0) {
       });
       
       await delay(retryDelay);
-      return fetchHtml(url, attempt + 1);
+      return fetchWithRetry(url, options, attempt + 1);
     }
     
     // Handle client errors
@@ -68,13 +78,13 @@ export async function fetchHtml(url, attempt = 0) {
     
     // Verify content type
     const contentType = res.headers.get('content-type') || '';
-    if (!contentType.includes('text/html')) {
+    if (options.contentType && !options.contentType.test(contentType)) {
       const { hostname } = new URL(url);
       crawlCounter.inc({ status: 'non-html', host: hostname });
-      throw new Error(`Non-HTML content: ${contentType}`);
+      throw new Error(`Unexpected content: ${contentType}`);
     }
     
-    const html = await res.text();
+    const body = await options.read(res);
     
     // Success metrics
     const duration = (Date.now() - startTime) / 1000;
@@ -82,9 +92,9 @@ export async function fetchHtml(url, attempt = 0) {
     crawlCounter.inc({ status: 'success', host: hostname });
     crawlDuration.observe(duration);
     
-    logger.debug('Fetch successful', { url, duration: duration.toFixed(2) + 's', size: html.length });
+    logger.debug('Fetch successful', { url, duration: duration.toFixed(2) + 's', size: body.length });
     
-    return html;
+    return body;
     
   } catch (err) {
     const { hostname } = new URL(url);
@@ -103,3 +113,59 @@ export async function fetchHtml(url, attempt = 0) {
   }
 }
 
+/**
+ * Fetch HTML with exponential backoff, jitter, and realistic headers
+ * @param {string} url - URL to fetch; internationalized hosts are fetched in ASCII form
+ * @param {Object} [options]
+ * @param {string} [options.acceptLanguage] - From the job's country profile
+ * @returns {Promise<string>} HTML content
+ */
+export async function fetchHtml(url, { acceptLanguage } = {}) {
+  return fetchWithRetry(toAsciiUrl(url), {
+    accept: HTML_ACCEPT,
+    acceptLanguage,
+    contentType: /text\/html/,
+    read: res => res.text()
+  });
+}
+
+/**
+ * Read a response body, giving up as soon as it passes maxBytes
+ * The declared Content-Length is checked first; the running count catches
+ * servers that send none or lie about it.
+ * @param {Response} res
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer>}
+ */
+async function readCapped(res, maxBytes) {
+  const declared = parseInt(res.headers.get('content-length'));
+  if (declared > maxBytes) {
+    await res.body?.cancel();
+    throw new Error(`Response too large: ${declared} bytes`);
+  }
+  
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body ?? []) {
+    size += chunk.length;
+    // Leaving the loop cancels the stream
+    if (size > maxBytes) {
+      throw new Error(`Response too large: over ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks, size);
+}
+
+/**
+ * Fetch a sitemap (XML, possibly gzipped) as raw bytes
+ * @param {string} url - Sitemap URL
+ * @param {number} maxBytes - Larger responses are abandoned mid-download
+ * @returns {Promise<Buffer>} Response body, not decompressed
+ */
+export async function fetchSitemapBody(url, maxBytes) {
+  return fetchWithRetry(toAsciiUrl(url), {
+    accept: XML_ACCEPT,
+    read: res => readCapped(res, maxBytes)
+  });
+}
@@ -0,0 +1,100 @@
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|msclkid|mc_cid|mc_eid|_ga|ref)$/i;
+const NON_HTML_PATHS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|zip|rar|docx?|xlsx?|pptx?|mp[34]|mov|avi|css|js|json|xml|txt)$/i;
+
+/**
+ * Priority of page origins when the same URL is queued twice
+ * (a discovered link beats a sitemap entry, which beats a guessed path)
+ */
+const ORIGIN_RANK = { guessed: 0, sitemap: 1, discovered: 2, root: 3 };
+
+/**
+ * Normalize a page URL into a dedupe key
+ * Drops protocol, www, fragment, tracking params and trailing slash
+ * @param {string} url - Absolute URL
+ * @returns {string|null} Normalized key, or null if the URL is not crawlable
+ */
+export function normalizePageUrl(url) {
+  try {
+    const u = new URL(url);
+    if (!['http:', 'https:'].includes(u.protocol)) return null;
+    if (NON_HTML_PATHS.test(u.pathname)) return null;
+    
+    const host = u.hostname.replace(/^www\./i, '').toLowerCase();
+    const pathname = u.pathname.replace(/\/+$/, '') || '/';
+    
+    const params = [...u.searchParams.entries()]
+      .filter(([key]) => !TRACKING_PARAMS.test(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const search = params.length ? '?' + new URLSearchParams(params).toString() : '';
+    
+    return `${host}${pathname.toLowerCase()}${search}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a per-site crawl frontier
+ * Pending pages are handed out highest score first; every normalized URL
+ * is handed out at most once.
+ * @returns {Object} Frontier with add() and next()
+ */
+export function createFrontier() {
+  const pending = new Map(); // key -> {url, score, origin}
+  const seen = new Set();
+  
+  return {
+    /**
+     * Queue a page
+     * @param {string} url - Absolute URL
+     * @param {{score?: number, origin: string}} options
+     * @returns {boolean} True if the page was queued or upgraded
+     */
+    add(url, { score = 0, origin }) {
+      const key = normalizePageUrl(url);
+      if (!key || seen.has(key)) return false;
+      
+      const existing = pending.get(key);
+      if (!existing) {
+        pending.set(key, { url, score, origin });
+        return true;
+      }
+      
+      let upgraded = false;
+      if (score > existing.score) {
+        existing.score = score;
+        upgraded = true;
+      }
+      if ((ORIGIN_RANK[origin] ?? 0) > (ORIGIN_RANK[existing.origin] ?? 0)) {
+        existing.url = url;
+        existing.origin = origin;
+        upgraded = true;
+      }
+      return upgraded;
+    },
+    
+    /**
+     * Take the best pending page
+     * @returns {{url: string, score: number, origin: string}|null}
+     */
+    next() {
+      let bestKey = null;
+      let best = null;
+      for (const [key, entry] of pending) {
+        if (!best || entry.score > best.score) {
+          bestKey = key;
+          best = entry;
+        }
+      }
+      if (!best) return null;
+      
+      pending.delete(bestKey);
+      seen.add(bestKey);
+      return best;
+    },
+    
+    get size() {
+      return pending.size;
+    }
+  };
+}
@@ -0,0 +1,83 @@
+import { domainToASCII, domainToUnicode } from 'node:url';
+
+/**
+ * Internationalized domain names
+ * Hosts and email domains are kept in ASCII (punycode, "xn--mlerifirma-15a.se")
+ * for fetching, DNS and dedup, and shown in Unicode ("målerifirma.se") in
+ * ContactRecords and exports.
+ */
+
+/**
+ * ASCII (punycode) form of a hostname, lowercased
+ * @param {string} host - "Målerifirma.se" or "xn--mlerifirma-15a.se"
+ * @returns {string} "xn--mlerifirma-15a.se"; empty when the name is invalid
+ */
+export function toAsciiHost(host) {
+  return domainToASCII(String(host || '').trim().replace(/\.$/, ''));
+}
+
+/**
+ * Unicode form of a hostname, lowercased
+ * @param {string} host - "xn--mlerifirma-15a.se" or "målerifirma.se"
+ * @returns {string} "målerifirma.se"; the input when it is not a valid name
+ */
+export function toUnicodeHost(host) {
+  const value = String(host || '').trim().toLowerCase();
+  return domainToUnicode(value) || value;
+}
+
+function splitEmail(email) {
+  const value = String(email || '').trim();
+  const at = value.lastIndexOf('@');
+  return at > 0 ? [value.slice(0, at), value.slice(at + 1)] : [value, null];
+}
+
+/**
+ * Email with its domain in ASCII: "info@målerifirma.se" -> "info@xn--mlerifirma-15a.se"
+ * @param {string} email
+ * @returns {string}
+ */
+export function toAsciiEmail(email) {
+  const [local, domain] = splitEmail(email);
+  if (domain === null) return local;
+  return `${local}@${toAsciiHost(domain) || domain.toLowerCase()}`;
+}
+
+/**
+ * Email with its domain in Unicode: "info@xn--mlerifirma-15a.se" -> "info@målerifirma.se"
+ * @param {string} email
+ * @returns {string}
+ */
+export function toUnicodeEmail(email) {
+  const [local, domain] = splitEmail(email);
+  if (domain === null) return local;
+  return `${local}@${toUnicodeHost(domain)}`;
+}
+
+/**
+ * URL with a Unicode hostname, for display
+ * @param {string} url
+ * @returns {string} The input when it does not parse
+ */
+export function toUnicodeUrl(url) {
+  try {
+    const u = new URL(url);
+    if (!u.hostname.includes('xn--')) return url;
+    return url.replace(u.host, u.host.replace(u.hostname, toUnicodeHost(u.hostname)));
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * URL with an ASCII hostname, for fetching
+ * @param {string} url
+ * @returns {string} The input when it does not parse
+ */
+export function toAsciiUrl(url) {
+  try {
+    return new URL(url).href;
+  } catch {
+    return url;
+  }
+}
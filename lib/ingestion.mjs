@@ -0,0 +1,224 @@
+import ExcelJS from 'exceljs';
+import { parse as parseCsv } from 'csv-parse/sync';
+import { logger } from './logger.mjs';
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const SNIFF_LINES = 20;
+const SNIFF_BYTES = 4096;
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0]); // legacy .xls
+
+/**
+ * Detect the text encoding of an upload
+ * BOMs win; without one, NUL bytes in every other position mean UTF-16,
+ * bytes that are not valid UTF-8 mean Windows-1252 (a superset of ISO-8859-1,
+ * what Excel writes on Swedish Windows).
+ * @param {Buffer} buffer
+ * @returns {{encoding: string, bom: number}} WHATWG encoding label and BOM length
+ */
+export function detectEncoding(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return { encoding: 'utf-8', bom: 3 };
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return { encoding: 'utf-16le', bom: 2 };
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return { encoding: 'utf-16be', bom: 2 };
+  
+  const sample = buffer.subarray(0, SNIFF_BYTES);
+  let evenNuls = 0;
+  let oddNuls = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) i % 2 === 0 ? evenNuls++ : oddNuls++;
+  }
+  const half = sample.length / 2;
+  if (oddNuls > half * 0.3 && evenNuls < half * 0.05) return { encoding: 'utf-16le', bom: 0 };
+  if (evenNuls > half * 0.3 && oddNuls < half * 0.05) return { encoding: 'utf-16be', bom: 0 };
+  
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return { encoding: 'utf-8', bom: 0 };
+  } catch {
+    return { encoding: 'windows-1252', bom: 0 };
+  }
+}
+
+/**
+ * Count delimiters in a line, skipping quoted fields
+ * @param {string} line
+ * @param {string} delimiter
+ * @returns {number} Number of delimiters outside quotes
+ */
+function countDelimiters(line, delimiter) {
+  let count = 0;
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') quoted = !quoted;
+    else if (char === delimiter && !quoted) count++;
+  }
+  return count;
+}
+
+/**
+ * Guess the field delimiter from the first lines
+ * The delimiter that splits the most lines into as many fields as the header
+ * wins; ties go to the one giving more fields.
+ * @param {string} text
+ * @returns {string} One of , ; \t |
+ */
+export function sniffDelimiter(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, SNIFF_LINES);
+  if (lines.length === 0) return ',';
+  
+  let best = { delimiter: ',', consistent: -1, fields: 0 };
+  for (const delimiter of DELIMITERS) {
+    const fields = countDelimiters(lines[0], delimiter);
+    if (fields === 0) continue;
+    
+    const consistent = lines.filter(line => countDelimiters(line, delimiter) === fields).length;
+    if (consistent > best.consistent || (consistent === best.consistent && fields > best.fields)) {
+      best = { delimiter, consistent, fields };
+    }
+  }
+  return best.delimiter;
+}
+
+/**
+ * Repair CSV exported by Apify with whole rows wrapped in quotes
+ * Corrupted format: "title,""value""...";;;;;;;
+ * Correct format:   "title","value",...
+ * Apify also pads rows with semicolons; they are trimmed when semicolons
+ * appear nowhere else, so semicolon-delimited files keep their empty fields.
+ * @param {string} text
+ * @returns {{text: string, unwrappedLines: number, trimmedLines: number, delimiter: string}}
+ */
+export function repairCsv(text) {
+  let unwrappedLines = 0;
+  let trimmedLines = 0;
+  
+  // Unwrap quoted rows first: the delimiter is only visible afterwards
+  const lines = text.split('\n').map((line) => {
+    const stripped = line.trimEnd().replace(/;+$/g, '');
+    // The header has no inner quotes, but is padded like the rows
+    const isCorrupted =
+      stripped.startsWith('"') &&
+      stripped.endsWith('"') &&
+      (stripped.includes('""') || stripped !== line.trimEnd()) &&
+      !stripped.includes('","');
+    if (!isCorrupted) return line;
+    
+    unwrappedLines++;
+    return stripped.slice(1, -1).replace(/""/g, '"');
+  });
+  
+  const stripTrailing = (line) => line.trimEnd().replace(/;+$/g, '');
+  const padded = lines.some(line => stripTrailing(line) !== line.trimEnd()) &&
+    lines.every(line => countDelimiters(stripTrailing(line), ';') === 0);
+  const repaired = !padded ? lines : lines.map((line) => {
+    const trimmed = stripTrailing(line);
+    if (trimmed === line.trimEnd()) return line;
+    trimmedLines++;
+    return trimmed;
+  });
+  
+  const result = repaired.join('\n');
+  return { text: result, unwrappedLines, trimmedLines, delimiter: sniffDelimiter(result) };
+}
+
+/**
+ * Display text of an Excel cell (formulas give their result, links their text)
+ * @param {ExcelJS.Cell} cell
+ * @returns {string}
+ */
+function cellText(cell) {
+  const value = cell.value;
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object' && value.hyperlink && !value.text) return value.hyperlink;
+  return String(cell.text ?? '').trim();
+}
+
+/**
+ * Read the first non-empty worksheet of an .xlsx file into row objects
+ * @param {Buffer} buffer
+ * @returns {Promise<{records: Array<Object>, sheet: string|null}>}
+ */
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  
+  const sheet = workbook.worksheets.find(ws => ws.actualRowCount > 0);
+  if (!sheet) return { records: [], sheet: null };
+  
+  let headers = null;
+  const records = [];
+  sheet.eachRow((row) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, col) => {
+      cells[col - 1] = cellText(cell);
+    });
+    
+    if (!headers) {
+      headers = Array.from(cells, (h, i) => h || `Kolumn ${i + 1}`);
+      return;
+    }
+    if (cells.every(c => !c)) return;
+    records.push(Object.fromEntries(headers.map((h, i) => [h, cells[i] ?? ''])));
+  });
+  
+  return { records, sheet: sheet.name };
+}
+
+/**
+ * Parse an uploaded CSV or .xlsx file into row objects
+ * CSV: encoding and delimiter are detected and Apify's broken quoting is
+ * repaired. The report says what was detected and repaired.
+ * @param {{buffer: Buffer, originalname?: string}} file - Multer file
+ * @returns {Promise<{valid: boolean, value?: {records: Array<Object>, report: Object}, message?: string}>}
+ */
+export async function readUpload(file) {
+  const buffer = file?.buffer;
+  if (!buffer?.length) return { valid: false, message: 'Ingen fil mottagen.' };
+  
+  const name = String(file.originalname || '');
+  
+  if (buffer.subarray(0, 4).equals(OLE_SIGNATURE) || /\.xls$/i.test(name)) {
+    return { valid: false, message: 'Gamla .xls-filer stöds inte. Spara som .xlsx eller CSV.' };
+  }
+  
+  if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+    try {
+      const { records, sheet } = await readXlsx(buffer);
+      return { valid: true, value: { records, report: { format: 'xlsx', sheet, rows: records.length } } };
+    } catch (err) {
+      logger.warn('Excel upload could not be read', { fileName: name, error: err.message });
+      return { valid: false, message: 'Kunde inte läsa Excel-filen.' };
+    }
+  }
+  
+  const { encoding, bom } = detectEncoding(buffer);
+  const decoded = new TextDecoder(encoding).decode(buffer.subarray(bom));
+  const { text, unwrappedLines, trimmedLines, delimiter } = repairCsv(decoded);
+  
+  let records;
+  try {
+    records = parseCsv(text, {
+      columns: true,
+      skip_empty_lines: true,
+      delimiter,
+      relax_column_count: true,
+      relax_quotes: true,
+      skip_records_with_empty_values: false
+    });
+  } catch (err) {
+    return { valid: false, message: `CSV kunde inte tolkas: ${err.message}` };
+  }
+  
+  const report = {
+    format: 'csv',
+    encoding,
+    delimiter,
+    rows: records.length,
+    repairs: { unwrappedLines, trimmedLines }
+  };
+  logger.info('CSV file processed', { fileName: name, ...report });
+  
+  return { valid: true, value: { records, report } };
+}
@@ -0,0 +1,316 @@
+import { setTimeout as delay } from 'node:timers/promises';
+import { logger } from '../logger.mjs';
+import { iterateRecords } from '../resultStore.mjs';
+import { toAsciiEmail } from '../idn.mjs';
+
+const API_KEY = process.env.MAILCHIMP_API_KEY || '';
+const MIN_CONFIDENCE = parseFloat(process.env.MAILCHIMP_MIN_CONFIDENCE) || 0.8;
+const MEMBER_STATUS = process.env.MAILCHIMP_MEMBER_STATUS || 'pending';
+// Merge tag for the phone number; empty disables it for audiences without one
+const PHONE_MERGE_FIELD = process.env.MAILCHIMP_PHONE_MERGE_FIELD ?? 'PHONE';
+const BATCH_SIZE = 500; // API maximum for batch subscribe and segment updates
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_MS = 1000;
+const REQUEST_TIMEOUT_MS = 30000;
+const REPORT_TTL = (parseInt(process.env.RESULTS_TTL_DAYS) || 30) * 24 * 60 * 60;
+// Lease on a running push, renewed after every batch; a push whose lease ran
+// out died with its process
+const LOCK_TTL = 300;
+
+export const MEMBER_STATUSES = ['subscribed', 'pending', 'transactional'];
+export const DEFAULT_PUSH_OPTIONS = { minConfidence: MIN_CONFIDENCE, status: MEMBER_STATUS };
+
+/**
+ * API base URL: MAILCHIMP_API_BASE (e.g. a local stand-in server), otherwise
+ * the data center in the API key suffix ("...-us21")
+ * @returns {string|null}
+ */
+function apiBase() {
+  if (process.env.MAILCHIMP_API_BASE) return process.env.MAILCHIMP_API_BASE.replace(/\/+$/, '');
+  const dc = API_KEY.split('-')[1];
+  return dc ? `https://${dc}.api.mailchimp.com/3.0` : null;
+}
+
+/**
+ * Whether the integration has an API key and a base URL
+ * @returns {boolean}
+ */
+export function isConfigured() {
+  return Boolean(API_KEY && apiBase());
+}
+
+function reportKey(jobId) {
+  return `integration:mailchimp:${jobId}`;
+}
+
+function membersKey(jobId) {
+  return `integration:mailchimp:${jobId}:members`;
+}
+
+function lockKey(jobId) {
+  return `integration:mailchimp:${jobId}:lock`;
+}
+
+/**
+ * Call the Marketing API, retrying 429, 5xx and network errors
+ * @param {string} method
+ * @param {string} path - e.g. "/lists/abc123"
+ * @param {Object} [body]
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {Error} With `status` and the API's `detail` message on final failure
+ */
+async function request(method, path, body) {
+  const url = `${apiBase()}${path}`;
+  const headers = {
+    'Authorization': `Basic ${Buffer.from(`anystring:${API_KEY}`).toString('base64')}`,
+    'Accept': 'application/json'
+  };
+  if (body) headers['Content-Type'] = 'application/json';
+  
+  let lastError = null;
+  
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    
+    try {
+      const res = await fetch(url, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+      const data = await res.json().catch(() => ({}));
+      
+      if (res.ok) return data;
+      
+      lastError = new Error(data.detail || data.title || `HTTP ${res.status}`);
+      lastError.status = res.status;
+      if (res.status !== 429 && res.status < 500) break;
+    } catch (err) {
+      lastError = new Error(err.name === 'AbortError' ? 'Timeout' : err.message);
+    } finally {
+      clearTimeout(timeout);
+    }
+    
+    if (attempt < MAX_ATTEMPTS) {
+      const retryDelay = RETRY_BASE_MS * Math.pow(2, attempt - 1);
+      logger.warn('Mailchimp request failed, retrying', { method, path, error: lastError.message, attempt });
+      await delay(retryDelay);
+    }
+  }
+  
+  throw lastError;
+}
+
+/**
+ * List audiences available to the API key
+ * @returns {Promise<Array<{id: string, name: string, memberCount: number}>>}
+ */
+export async function listAudiences() {
+  const data = await request('GET', '/lists?count=100&fields=lists.id,lists.name,lists.stats.member_count');
+  return (data.lists || []).map(l => ({ id: l.id, name: l.name, memberCount: l.stats?.member_count ?? 0 }));
+}
+
+/**
+ * Merge fields for a record: names (FNAME/LNAME exist in every audience) and phone
+ * @param {Object} r - ContactRecord
+ * @returns {Object}
+ */
+function mergeFields(r) {
+  const fields = {};
+  if (r.firstName) fields.FNAME = r.firstName;
+  if (r.lastName) fields.LNAME = r.lastName;
+  if (PHONE_MERGE_FIELD && r.phone) fields[PHONE_MERGE_FIELD] = r.phone;
+  return fields;
+}
+
+/**
+ * Split job tags ("mässa, stockholm") into Mailchimp tag names
+ * @param {string} tags
+ * @returns {string[]}
+ */
+function parseTags(tags) {
+  return String(tags || '').split(',').map(t => t.trim()).filter(Boolean);
+}
+
+/**
+ * Find or create the static segments that back the given tags
+ * @param {string} listId
+ * @param {string[]} tags
+ * @returns {Promise<Map<string, number>>} tag name -> segment id
+ */
+async function resolveTagSegments(listId, tags) {
+  const segments = new Map();
+  if (tags.length === 0) return segments;
+  
+  const data = await request('GET', `/lists/${listId}/segments?type=static&count=1000&fields=segments.id,segments.name`);
+  for (const s of data.segments || []) segments.set(s.name, s.id);
+  
+  for (const tag of tags) {
+    if (segments.has(tag)) continue;
+    const created = await request('POST', `/lists/${listId}/segments`, { name: tag, static_segment: [] });
+    segments.set(tag, created.id);
+  }
+  return segments;
+}
+
+/**
+ * Read the stored push report for a job
+ * @param {Redis} redis
+ * @param {string} jobId
+ * @returns {Promise<Object|null>}
+ */
+export async function getPushReport(redis, jobId) {
+  const [[, json], [, members], [, locked]] = await redis.multi()
+    .get(reportKey(jobId))
+    .lrange(membersKey(jobId), 0, -1)
+    .exists(lockKey(jobId))
+    .exec();
+  if (!json) return null;
+  
+  const report = JSON.parse(json);
+  if (report.status === 'running' && !locked) {
+    Object.assign(report, { status: 'failed', error: 'Överföringen avbröts' });
+  }
+  report.members = members.map(m => JSON.parse(m));
+  return report;
+}
+
+/**
+ * Write the report and append the members decided since the last write
+ * Members go to a list so each batch only writes its own outcomes.
+ * @param {Redis} redis
+ * @param {string} jobId
+ * @param {Object} report
+ * @param {Array<Object>} members - Emptied once written
+ */
+async function saveReport(redis, jobId, report, members = []) {
+  const multi = redis.multi().set(reportKey(jobId), JSON.stringify(report), 'EX', REPORT_TTL);
+  if (members.length > 0) {
+    multi.rpush(membersKey(jobId), ...members.splice(0).map(m => JSON.stringify(m)));
+  }
+  await multi.expire(membersKey(jobId), REPORT_TTL).exec();
+}
+
+/**
+ * Take the job's push lease so concurrent pushes for the same job are refused
+ * A report left running by a crashed push no longer holds the lease.
+ * @param {Redis} redis
+ * @param {string} jobId
+ * @param {Object} options - {listId, minConfidence, status, user}
+ * @returns {Promise<Object|null>} The initial report, or null if a push is already running
+ */
+export async function startPush(redis, jobId, options) {
+  const locked = await redis.set(lockKey(jobId), '1', 'EX', LOCK_TTL, 'NX');
+  if (!locked) return null;
+  
+  const report = {
+    status: 'running',
+    listId: options.listId,
+    minConfidence: options.minConfidence,
+    memberStatus: options.status,
+    user: options.user,
+    startedAt: new Date().toISOString(),
+    totals: { created: 0, updated: 0, failed: 0, skipped: 0 }
+  };
+  await redis.del(membersKey(jobId));
+  await saveReport(redis, jobId, report);
+  return report;
+}
+
+/**
+ * Upsert a job's records into a Mailchimp audience
+ * Records below the confidence threshold and repeated addresses are skipped.
+ * Members are sent with the batch subscribe endpoint (POST /lists/{id}) and
+ * the job's tags are applied through the tags' static segments. The outcome of
+ * every member is written to the push report.
+ * @param {Redis} redis
+ * @param {string} jobId
+ * @param {Object} report - From startPush()
+ * @param {{tags?: string, updateExisting?: boolean}} options
+ * @returns {Promise<Object>} Final report
+ */
+export async function pushJob(redis, jobId, report, { tags = '', updateExisting = true } = {}) {
+  const { listId, minConfidence, memberStatus } = report;
+  const tagNames = parseTags(tags);
+  const members = []; // Not yet written to the report
+  const seen = new Set();
+  let segments = null;
+  
+  const sendBatch = async (batch) => {
+    const result = await request('POST', `/lists/${listId}`, {
+      // Mailchimp takes internationalized domains in their ASCII form
+      members: batch.map(r => ({
+        email_address: toAsciiEmail(r.email),
+        status: memberStatus,
+        merge_fields: mergeFields(r)
+      })),
+      update_existing: updateExisting
+    });
+    
+    const outcome = new Map();
+    for (const m of result.new_members || []) outcome.set(m.email_address.toLowerCase(), { status: 'created' });
+    for (const m of result.updated_members || []) outcome.set(m.email_address.toLowerCase(), { status: 'updated' });
+    for (const e of result.errors || []) {
+      outcome.set(String(e.email_address).toLowerCase(), { status: 'failed', error: e.error, errorCode: e.error_code });
+    }
+    
+    const accepted = [];
+    for (const r of batch) {
+      const address = toAsciiEmail(r.email);
+      const member = { email: r.email, ...(outcome.get(address.toLowerCase()) ?? { status: 'failed', error: 'Saknas i svaret' }) };
+      members.push(member);
+      report.totals[member.status]++;
+      if (member.status !== 'failed') accepted.push(address);
+    }
+    
+    if (accepted.length > 0 && tagNames.length > 0) {
+      segments ??= await resolveTagSegments(listId, tagNames);
+      for (const tag of tagNames) {
+        await request('POST', `/lists/${listId}/segments/${segments.get(tag)}`, { members_to_add: accepted });
+      }
+    }
+    
+    await saveReport(redis, jobId, report, members);
+    await redis.expire(lockKey(jobId), LOCK_TTL);
+  };
+  
+  try {
+    let batch = [];
+    for await (const record of iterateRecords(redis, jobId)) {
+      const key = record.email.toLowerCase();
+      if (record.confidence < minConfidence) {
+        members.push({ email: record.email, status: 'skipped', reason: 'confidence' });
+        report.totals.skipped++;
+        continue;
+      }
+      if (seen.has(key)) {
+        members.push({ email: record.email, status: 'skipped', reason: 'duplicate' });
+        report.totals.skipped++;
+        continue;
+      }
+      seen.add(key);
+      
+      batch.push(record);
+      if (batch.length >= BATCH_SIZE) {
+        await sendBatch(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) await sendBatch(batch);
+    
+    report.status = 'completed';
+  } catch (err) {
+    logger.error('Mailchimp push failed', { jobId, listId, error: err.message });
+    report.status = 'failed';
+    report.error = err.message;
+  }
+  
+  report.finishedAt = new Date().toISOString();
+  await saveReport(redis, jobId, report, members);
+  await redis.del(lockKey(jobId));
+  
+  logger.info('Mailchimp push finished', { jobId, listId, status: report.status, ...report.totals });
+  return report;
+}
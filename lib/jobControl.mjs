@@ -0,0 +1,66 @@
+import { logger } from './logger.mjs';
+
+const CONTROL_TTL = 7 * 24 * 60 * 60; // 7 days
+const ACTIONS = new Set(['cancel', 'pause']);
+
+/**
+ * Redis key holding a pending control action for a job
+ * @param {string} jobId
+ * @returns {string}
+ */
+function controlKey(jobId) {
+  return `control:${jobId}`;
+}
+
+/**
+ * Request that a job is cancelled or paused
+ * The worker picks this up between sites.
+ * @param {Redis} redis
+ * @param {string} jobId
+ * @param {'cancel'|'pause'} action
+ * @returns {Promise<void>}
+ */
+export async function setControl(redis, jobId, action) {
+  if (!ACTIONS.has(action)) {
+    throw new Error(`Unknown control action: ${action}`);
+  }
+  
+  await redis.setex(controlKey(jobId), CONTROL_TTL, action);
+  logger.info('Job control requested', { jobId, action });
+}
+
+/**
+ * Get the pending control action for a job
+ * @param {Redis} redis
+ * @param {string} jobId
+ * @returns {Promise<'cancel'|'pause'|null>}
+ */
+export async function getControl(redis, jobId) {
+  return redis.get(controlKey(jobId));
+}
+
+/**
+ * Remove any pending control action
+ * @param {Redis} redis
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+export async function clearControl(redis, jobId) {
+  await redis.del(controlKey(jobId));
+}
+
+/**
+ * Combine queue state, stored status and pending control into the state
+ * shown to users
+ * @param {string} queueState - BullMQ state (or stored status if the job left the queue)
+ * @param {Object} meta - Stored job metadata
+ * @param {string|null} control - Pending control action
+ * @returns {string} e.g. 'active', 'paused', 'cancelling', 'cancelled'
+ */
+export function resolveJobState(queueState, meta = {}, control = null) {
+  if (meta.status === 'cancelled') return 'cancelled';
+  if (queueState === 'completed' || queueState === 'failed') return queueState;
+  if (control === 'cancel') return 'cancelling';
+  if (control === 'pause') return queueState === 'active' ? 'pausing' : 'paused';
+  return queueState;
+}
@@ -16,18 +16,71 @@ const contactRecordSchema = {
     email: { type: 'string' },
     emailType: { type: 'string', enum: ['role', 'personal', 'generic', 'unknown'] },
     confidence: { type: 'number', minimum: 0, maximum: 1 },
+    deliverability: { type: 'string', enum: ['valid', 'catch-all', 'invalid', 'unknown'] },
+    scoreBreakdown: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['factor', 'label', 'points'],
+        properties: {
+          factor: { type: 'string' },
+          label: { type: 'string' },
+          points: { type: 'integer' }
+        }
+      }
+    },
     discoveryPath: { type: 'string' },
     phone: { type: ['string', 'null'] },
+    phones: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['number'],
+        properties: {
+          number: { type: 'string', pattern: '^\\+\\d{6,15}$' },
+          type: {
+            type: ['string', 'null'],
+            enum: ['mobile', 'fixed', 'fixed-or-mobile', 'toll-free', 'shared-cost', 'premium', 'voip', 'other', null]
+          },
+          country: { type: ['string', 'null'] }
+        }
+      }
+    },
     contactPage: { type: ['string', 'null'], format: 'uri' },
     social: {
       type: 'object',
       properties: {
         linkedin: { type: ['string', 'null'] },
         facebook: { type: ['string', 'null'] },
-        x: { type: ['string', 'null'] }
+        x: { type: ['string', 'null'] },
+        instagram: { type: ['string', 'null'] },
+        youtube: { type: ['string', 'null'] },
+        tiktok: { type: ['string', 'null'] }
       }
     },
     rawEvidence: { type: ['string', 'null'] },
+    companyName: { type: ['string', 'null'] },
+    orgNumber: { type: ['string', 'null'], pattern: '^\\d{6}-\\d{4}$' },
+    addresses: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          street: { type: ['string', 'null'] },
+          postalCode: { type: ['string', 'null'] },
+          city: { type: ['string', 'null'] },
+          country: { type: ['string', 'null'] },
+          type: { type: ['string', 'null'], enum: ['visit', 'postal', 'invoice', 'delivery', null] }
+        }
+      }
+    },
+    firstName: { type: ['string', 'null'] },
+    lastName: { type: ['string', 'null'] },
+    jobTitle: { type: ['string', 'null'] },
+    input: {
+      type: ['object', 'null'],
+      additionalProperties: { type: 'string' }
+    },
     timestamp: { type: 'string', format: 'date-time' }
   }
 };
@@ -45,11 +98,21 @@ export function createContactRecord({
   email,
   emailType,
   confidence,
+  deliverability = 'unknown',
+  scoreBreakdown = [],
   discoveryPath,
   phone = null,
+  phones = [],
   contactPage = null,
   social = {},
   rawEvidence = null,
+  companyName = null,
+  orgNumber = null,
+  addresses = [],
+  firstName = null,
+  lastName = null,
+  jobTitle = null,
+  input = null,
   timestamp = new Date().toISOString()
 }) {
   return {
@@ -58,15 +121,28 @@ export function createContactRecord({
     email,
     emailType,
     confidence,
+    deliverability,
+    scoreBreakdown,
     discoveryPath,
     phone,
+    phones,
     contactPage,
     social: {
       linkedin: social.linkedin || null,
       facebook: social.facebook || null,
-      x: social.x || null
+      x: social.x || null,
+      instagram: social.instagram || null,
+      youtube: social.youtube || null,
+      tiktok: social.tiktok || null
     },
     rawEvidence,
+    companyName: companyName || null,
+    orgNumber,
+    addresses,
+    firstName,
+    lastName,
+    jobTitle,
+    input,
     timestamp
   };
 }
@@ -0,0 +1,334 @@
+import { logger } from './logger.mjs';
+import { getJobMeta } from './resultStore.mjs';
+
+/**
+ * Default limits, overridable per user or API key via setLimits()
+ */
+const DEFAULT_LIMITS = {
+  maxSitesPerJob: parseInt(process.env.QUOTA_MAX_SITES_PER_JOB) || 5000,
+  maxJobsPerDay: parseInt(process.env.QUOTA_MAX_JOBS_PER_DAY) || 50,
+  maxConcurrentJobs: parseInt(process.env.QUOTA_MAX_CONCURRENT_JOBS) || 3,
+  monthlyPageFetches: parseInt(process.env.QUOTA_MONTHLY_PAGE_FETCHES) || 100000
+};
+
+const LIMIT_NAMES = Object.keys(DEFAULT_LIMITS);
+const FINISHED_STATUSES = new Set(['completed', 'cancelled', 'failed']);
+
+const DAY_TTL = 2 * 24 * 60 * 60;
+const MONTH_TTL = 40 * 24 * 60 * 60;
+
+/**
+ * Current UTC day, e.g. "2024-05-17"
+ * @returns {string}
+ */
+function dayStamp() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Current UTC month, e.g. "2024-05"
+ * @returns {string}
+ */
+function monthStamp() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+/**
+ * Seconds until the current UTC day or month rolls over
+ * @param {'day'|'month'} period
+ * @returns {number}
+ */
+function secondsUntilReset(period) {
+  const now = new Date();
+  const reset = period === 'day'
+    ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+    : Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return Math.ceil((reset - now.getTime()) / 1000);
+}
+
+function limitsKey(subject) {
+  return `quota:limits:${subject}`;
+}
+
+function jobsKey(subject) {
+  return `usage:${subject}:jobs:${dayStamp()}`;
+}
+
+function runningKey(subject) {
+  return `usage:${subject}:running`;
+}
+
+function pagesKey(subject) {
+  return `usage:${subject}:pages:${monthStamp()}`;
+}
+
+// Marks a reserved job whose metadata is not written yet
+function reservedKey(jobId) {
+  return `quota:reserved:${jobId}`;
+}
+
+const RESERVED_TTL = 60;
+
+/**
+ * Pick whose quota a request counts against
+ * An API key with its own limits is accounted separately; otherwise usage
+ * counts against the user.
+ * @param {Redis} redis
+ * @param {Object} user - req.user
+ * @param {Object|null} apiKey - req.apiKey
+ * @returns {Promise<string>} e.g. "user:alice" or "key:3f2a9c01b7de"
+ */
+export async function resolveQuotaSubject(redis, user, apiKey = null) {
+  if (apiKey && await redis.exists(limitsKey(`key:${apiKey.id}`))) {
+    return `key:${apiKey.id}`;
+  }
+  return `user:${user.username}`;
+}
+
+/**
+ * Get effective limits for a subject (stored overrides on top of defaults)
+ * @param {Redis} redis
+ * @param {string} subject
+ * @returns {Promise<Object>}
+ */
+export async function getLimits(redis, subject) {
+  const stored = await redis.hgetall(limitsKey(subject));
+  const limits = { ...DEFAULT_LIMITS };
+  for (const name of LIMIT_NAMES) {
+    if (stored[name] !== undefined) limits[name] = Number(stored[name]);
+  }
+  return limits;
+}
+
+/**
+ * Override limits for a subject
+ * @param {Redis} redis
+ * @param {string} subject - "user:<name>" or "key:<id>"
+ * @param {Object} limits - Any of maxSitesPerJob, maxJobsPerDay, maxConcurrentJobs, monthlyPageFetches
+ * @returns {Promise<{valid: boolean, limits?: Object, message?: string}>}
+ */
+export async function setLimits(redis, subject, limits = {}) {
+  if (!/^(user|key):[\w.-]+$/.test(subject)) {
+    return { valid: false, message: 'Ogiltigt subjekt (använd user:<namn> eller key:<id>)' };
+  }
+  
+  const values = {};
+  for (const [name, value] of Object.entries(limits)) {
+    if (!LIMIT_NAMES.includes(name)) {
+      return { valid: false, message: `Okänd gräns: ${name}` };
+    }
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) {
+      return { valid: false, message: `${name} måste vara ett heltal ≥ 0` };
+    }
+    values[name] = n;
+  }
+  
+  if (Object.keys(values).length > 0) {
+    await redis.hset(limitsKey(subject), values);
+  }
+  logger.info('Quota limits updated', { subject, limits: values });
+  
+  return { valid: true, limits: await getLimits(redis, subject) };
+}
+
+/**
+ * Count jobs that are still queued, running or paused
+ * Jobs that have finished since they were registered are pruned.
+ * @param {Redis} redis
+ * @param {string} subject
+ * @returns {Promise<number>}
+ */
+async function countRunningJobs(redis, subject) {
+  const key = runningKey(subject);
+  const jobIds = await redis.smembers(key);
+  
+  let running = 0;
+  for (const jobId of jobIds) {
+    const meta = await getJobMeta(redis, jobId);
+    if (!meta && await redis.exists(reservedKey(jobId))) {
+      running++;
+    } else if (!meta || FINISHED_STATUSES.has(meta.status)) {
+      await redis.srem(key, jobId);
+    } else {
+      running++;
+    }
+  }
+  return running;
+}
+
+/**
+ * Current consumption for a subject
+ * @param {Redis} redis
+ * @param {string} subject
+ * @returns {Promise<{jobsToday: number, runningJobs: number, pagesThisMonth: number}>}
+ */
+export async function getUsage(redis, subject) {
+  const [jobsToday, pagesThisMonth, runningJobs] = await Promise.all([
+    redis.get(jobsKey(subject)),
+    redis.get(pagesKey(subject)),
+    countRunningJobs(redis, subject)
+  ]);
+  
+  return {
+    jobsToday: Number(jobsToday) || 0,
+    runningJobs,
+    pagesThisMonth: Number(pagesThisMonth) || 0
+  };
+}
+
+// Check the per-day, concurrency and page quotas and, if all pass, count the
+// job in the same step, so concurrent uploads cannot all pass the check
+// KEYS: jobs today, running set, pages this month, reserved marker
+// ARGV: maxJobsPerDay, maxConcurrentJobs, sites, monthlyPageFetches, day TTL, jobId, marker TTL
+const RESERVE_SCRIPT = `
+local jobs = tonumber(redis.call('GET', KEYS[1]) or '0')
+if jobs >= tonumber(ARGV[1]) then return {'maxJobsPerDay', jobs} end
+local running = redis.call('SCARD', KEYS[2])
+if running >= tonumber(ARGV[2]) then return {'maxConcurrentJobs', running} end
+local pages = tonumber(redis.call('GET', KEYS[3]) or '0')
+if pages + tonumber(ARGV[3]) > tonumber(ARGV[4]) then return {'monthlyPageFetches', pages} end
+redis.call('INCR', KEYS[1])
+redis.call('EXPIRE', KEYS[1], ARGV[5])
+redis.call('SADD', KEYS[2], ARGV[6])
+redis.call('SET', KEYS[4], '1', 'EX', ARGV[7])
+return {}
+`;
+
+/**
+ * Check whether a new job may be created and, if so, count it against the subject
+ * Check and count are one atomic step; call releaseJobQuota() if the job
+ * then cannot be queued.
+ * @param {Redis} redis
+ * @param {string} subject
+ * @param {{sites: number, jobId: string}} job
+ * @returns {Promise<{allowed: boolean, quota?: string, limit?: number, used?: number, message?: string, retryAfter?: number}>}
+ */
+export async function reserveJobQuota(redis, subject, { sites, jobId }) {
+  const limits = await getLimits(redis, subject);
+  
+  if (sites > limits.maxSitesPerJob) {
+    return {
+      allowed: false,
+      quota: 'maxSitesPerJob',
+      limit: limits.maxSitesPerJob,
+      used: sites,
+      message: `För många webbplatser i ett jobb (max ${limits.maxSitesPerJob})`
+    };
+  }
+  
+  // Free the slots of jobs that have finished since they were registered
+  await countRunningJobs(redis, subject);
+  
+  const [quota, used] = await redis.eval(
+    RESERVE_SCRIPT, 4,
+    jobsKey(subject), runningKey(subject), pagesKey(subject), reservedKey(jobId),
+    limits.maxJobsPerDay, limits.maxConcurrentJobs, sites, limits.monthlyPageFetches, DAY_TTL, jobId, RESERVED_TTL
+  );
+  
+  if (quota === 'maxJobsPerDay') {
+    return {
+      allowed: false,
+      quota,
+      limit: limits.maxJobsPerDay,
+      used,
+      message: `Max antal jobb per dag uppnått (${limits.maxJobsPerDay})`,
+      retryAfter: secondsUntilReset('day')
+    };
+  }
+  
+  if (quota === 'maxConcurrentJobs') {
+    return {
+      allowed: false,
+      quota,
+      limit: limits.maxConcurrentJobs,
+      used,
+      message: `Max antal samtidiga jobb uppnått (${limits.maxConcurrentJobs})`
+    };
+  }
+  
+  // Every site costs at least one page fetch
+  if (quota === 'monthlyPageFetches') {
+    return {
+      allowed: false,
+      quota,
+      limit: limits.monthlyPageFetches,
+      used,
+      message: `Månadens sidbudget räcker inte (${used}/${limits.monthlyPageFetches} använda)`,
+      retryAfter: secondsUntilReset('month')
+    };
+  }
+  
+  return { allowed: true };
+}
+
+/**
+ * Refund a reservation for a job that was never queued
+ * @param {Redis} redis
+ * @param {string} subject
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+export async function releaseJobQuota(redis, subject, jobId) {
+  try {
+    await redis
+      .multi()
+      .decr(jobsKey(subject))
+      .srem(runningKey(subject), jobId)
+      .del(reservedKey(jobId))
+      .exec();
+  } catch (err) {
+    logger.error('Failed to refund job quota', { subject, jobId, error: err.message });
+  }
+}
+
+/**
+ * Release a job's concurrency slot
+ * @param {Redis} redis
+ * @param {string} subject
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+export async function recordJobEnd(redis, subject, jobId) {
+  if (!subject) return;
+  
+  try {
+    await redis.srem(runningKey(subject), jobId);
+  } catch (err) {
+    logger.error('Failed to release job slot', { subject, jobId, error: err.message });
+  }
+}
+
+/**
+ * Count fetched pages against the monthly budget
+ * @param {Redis} redis
+ * @param {string} subject
+ * @param {number} count
+ * @returns {Promise<void>}
+ */
+export async function recordPageFetches(redis, subject, count = 1) {
+  if (!subject || count <= 0) return;
+  
+  try {
+    const key = pagesKey(subject);
+    await redis.multi().incrby(key, count).expire(key, MONTH_TTL).exec();
+  } catch (err) {
+    logger.error('Failed to record page fetches', { subject, error: err.message });
+  }
+}
+
+/**
+ * Check whether the monthly page budget is used up
+ * @param {Redis} redis
+ * @param {string} subject
+ * @returns {Promise<boolean>}
+ */
+export async function isPageBudgetExhausted(redis, subject) {
+  if (!subject) return false;
+  
+  const [limits, used] = await Promise.all([
+    getLimits(redis, subject),
+    redis.get(pagesKey(subject))
+  ]);
+  return (Number(used) || 0) >= limits.monthlyPageFetches;
+}
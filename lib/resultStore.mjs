@@ -0,0 +1,287 @@
+import { logger } from './logger.mjs';
+import { DELIVERABILITY_STATUSES } from './validators/deliverability.mjs';
+import { toUnicodeHost } from './idn.mjs';
+
+const RESULTS_TTL = (parseInt(process.env.RESULTS_TTL_DAYS) || 30) * 24 * 60 * 60;
+const SCAN_BATCH_SIZE = 500;
+const JOB_INDEX_KEY = 'results:jobs'; // sorted set: jobId scored by creation time
+
+/**
+ * Job index key, either global or per user
+ * @param {string|null} user
+ * @returns {string}
+ */
+function jobIndexKey(user = null) {
+  return user ? `${JOB_INDEX_KEY}:user:${user}` : JOB_INDEX_KEY;
+}
+
+const EMAIL_TYPES = new Set(['role', 'personal', 'generic', 'unknown']);
+
+/**
+ * Redis key for a job's record list
+ * @param {string} jobId
+ * @returns {string}
+ */
+function recordsKey(jobId) {
+  return `results:${jobId}:records`;
+}
+
+/**
+ * Redis key for a job's metadata hash
+ * @param {string} jobId
+ * @returns {string}
+ */
+function metaKey(jobId) {
+  return `results:${jobId}:meta`;
+}
+
+/**
+ * Queue an append of ContactRecords onto a transaction
+ * Pass a MULTI so records land together with the site's checkpoint.
+ * @param {Object} tx - ioredis pipeline/multi
+ * @param {string} jobId
+ * @param {Array<Object>} records
+ * @returns {Object} The same transaction
+ */
+export function appendRecords(tx, jobId, records) {
+  if (records.length === 0) return tx;
+  
+  const key = recordsKey(jobId);
+  return tx
+    .rpush(key, ...records.map(r => JSON.stringify(r)))
+    .expire(key, RESULTS_TTL);
+}
+
+/**
+ * Count stored records for a job
+ * @param {Redis} redis
+ * @param {string} jobId
+ * @returns {Promise<number>}
+ */
+export async function countRecords(redis, jobId) {
+  return redis.llen(recordsKey(jobId));
+}
+
+/**
+ * Parse a record filter of the form `emailType:role,minConfidence:0.8,domain:example.se`
+ * deliverability takes one or more statuses separated by `|`: `deliverability:valid|catch-all`
+ * @param {string} value - Raw filter string
+ * @returns {{valid: boolean, value?: Object, message?: string}}
+ */
+export function parseRecordFilter(value) {
+  const filter = {};
+  if (!value) return { valid: true, value: filter };
+  
+  for (const part of String(value).split(',')) {
+    const [key, ...rest] = part.split(':');
+    const raw = rest.join(':').trim();
+    if (!key.trim() || !raw) continue;
+    
+    switch (key.trim()) {
+      case 'emailType':
+        if (!EMAIL_TYPES.has(raw)) {
+          return { valid: false, message: `Okänd emailType: ${raw}` };
+        }
+        filter.emailType = raw;
+        break;
+      case 'minConfidence': {
+        const n = Number(raw);
+        if (isNaN(n) || n < 0 || n > 1) {
+          return { valid: false, message: 'minConfidence måste vara mellan 0 och 1' };
+        }
+        filter.minConfidence = n;
+        break;
+      }
+      case 'domain':
+        // Records carry Unicode domains; accept either form
+        filter.domain = toUnicodeHost(raw);
+        break;
+      case 'deliverability': {
+        const statuses = raw.split('|').map(s => s.trim()).filter(Boolean);
+        const unknown = statuses.find(s => !DELIVERABILITY_STATUSES.includes(s));
+        if (unknown || statuses.length === 0) {
+          return { valid: false, message: `Okänd deliverability: ${unknown ?? raw} (${DELIVERABILITY_STATUSES.join(', ')})` };
+        }
+        filter.deliverability = statuses;
+        break;
+      }
+      default:
+        return { valid: false, message: `Okänt filter: ${key}` };
+    }
+  }
+  
+  return { valid: true, value: filter };
+}
+
+/**
+ * Check a record against a parsed filter
+ * @param {Object} record - ContactRecord
+ * @param {Object} filter - Parsed filter
+ * @returns {boolean}
+ */
+export function matchesFilter(record, filter = {}) {
+  if (filter.emailType && record.emailType !== filter.emailType) return false;
+  if (filter.minConfidence !== undefined && record.confidence < filter.minConfidence) return false;
+  if (filter.domain && record.domain !== filter.domain && !record.domain?.endsWith(`.${filter.domain}`)) return false;
+  // Records stored before verification existed count as unknown
+  if (filter.deliverability && !filter.deliverability.includes(record.deliverability ?? 'unknown')) return false;
+  return true;
+}
+
+/**
+ * Read one page of records
+ * The cursor is a position in the record list; filtered-out records are
+ * skipped but still advance the cursor.
+ * @param {Redis} redis
+ * @param {string} jobId
+ * @param {{cursor?: number, limit?: number, filter?: Object}} options
+ * @returns {Promise<{records: Array, nextCursor: number|null}>}
+ */
+export async function readRecords(redis, jobId, { cursor = 0, limit = 100, filter = {} } = {}) {
+  const key = recordsKey(jobId);
+  const records = [];
+  let position = cursor;
+  
+  while (records.length < limit) {
+    const batch = await redis.lrange(key, position, position + SCAN_BATCH_SIZE - 1);
+    
+    for (const json of batch) {
+      position++;
+      const record = JSON.parse(json);
+      if (!matchesFilter(record, filter)) continue;
+      
+      records.push(record);
+      if (records.length === limit) break;
+    }
+    
+    // End of list reached before the page filled up
+    if (batch.length < SCAN_BATCH_SIZE && records.length < limit) {
+      return { records, nextCursor: null };
+    }
+  }
+  
+  const remaining = await redis.llen(key);
+  return { records, nextCursor: position < remaining ? position : null };
+}
+
+/**
+ * Iterate over all records of a job in batches (for streaming exports)
+ * @param {Redis} redis
+ * @param {string} jobId
+ * @param {{filter?: Object}} options
+ * @returns {AsyncGenerator<Object>} ContactRecords
+ */
+export async function* iterateRecords(redis, jobId, { filter = {} } = {}) {
+  const key = recordsKey(jobId);
+  
+  for (let position = 0; ; position += SCAN_BATCH_SIZE) {
+    const batch = await redis.lrange(key, position, position + SCAN_BATCH_SIZE - 1);
+    
+    for (const json of batch) {
+      const record = JSON.parse(json);
+      if (matchesFilter(record, filter)) yield record;
+    }
+    
+    if (batch.length < SCAN_BATCH_SIZE) return;
+  }
+}
+
+/**
+ * Update job metadata (objects are stored as JSON)
+ * @param {Redis} redis
+ * @param {string} jobId
+ * @param {Object} fields
+ * @returns {Promise<void>}
+ */
+export async function saveJobMeta(redis, jobId, fields) {
+  const values = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    values[field] = JSON.stringify(value);
+  }
+  
+  const key = metaKey(jobId);
+  try {
+    await redis.multi().hset(key, values).expire(key, RESULTS_TTL).exec();
+  } catch (err) {
+    logger.error('Failed to save job metadata', { jobId, error: err.message });
+    throw err;
+  }
+}
+
+/**
+ * Read job metadata
+ * @param {Redis} redis
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} Metadata, or null if unknown job
+ */
+export async function getJobMeta(redis, jobId) {
+  const raw = await redis.hgetall(metaKey(jobId));
+  if (!raw || Object.keys(raw).length === 0) return null;
+  
+  const meta = {};
+  for (const [field, json] of Object.entries(raw)) {
+    try {
+      meta[field] = JSON.parse(json);
+    } catch {
+      meta[field] = json;
+    }
+  }
+  return meta;
+}
+
+/**
+ * Register a new job: store its metadata and add it to the job index
+ * @param {Redis} redis
+ * @param {string} jobId
+ * @param {Object} meta - Initial metadata, must include createdAt
+ * @returns {Promise<void>}
+ */
+export async function registerJob(redis, jobId, meta) {
+  await saveJobMeta(redis, jobId, meta);
+  
+  const score = Date.parse(meta.createdAt);
+  await redis
+    .multi()
+    .zadd(jobIndexKey(), score, jobId)
+    .zadd(jobIndexKey(meta.user || 'anonymous'), score, jobId)
+    .exec();
+}
+
+/**
+ * List recent jobs, newest first
+ * Index entries whose results have expired are pruned on the way. With a
+ * filter the index is paged through until `limit` jobs match.
+ * @param {Redis} redis
+ * @param {{from?: Date, to?: Date, limit?: number, user?: string, filter?: Function}} options - user limits the list to one creator; filter(job) may be async
+ * @returns {Promise<Array<Object>>} Metadata with jobId and current record count
+ */
+export async function listJobs(redis, { from = null, to = null, limit = 50, user = null, filter = null } = {}) {
+  const key = jobIndexKey(user);
+  await redis.zremrangebyscore(key, '-inf', Date.now() - RESULTS_TTL * 1000);
+  
+  const max = to ? to.getTime() : '+inf';
+  const min = from ? from.getTime() : '-inf';
+  const pageSize = Math.max(limit, 50);
+  
+  const jobs = [];
+  for (let offset = 0; jobs.length < limit; offset += pageSize) {
+    const jobIds = await redis.zrevrangebyscore(key, max, min, 'LIMIT', offset, pageSize);
+    
+    for (const jobId of jobIds) {
+      const [meta, records] = await Promise.all([
+        getJobMeta(redis, jobId),
+        countRecords(redis, jobId)
+      ]);
+      if (!meta) continue;
+      
+      const job = { jobId, ...meta, records };
+      if (filter && !(await filter(job))) continue;
+      jobs.push(job);
+      if (jobs.length >= limit) break;
+    }
+    if (jobIds.length < pageSize) break;
+  }
+  
+  return jobs;
+}
@@ -2,7 +2,47 @@ import robotsParser from 'robots-parser';
 import NodeCache from 'node-cache';
 import { logger } from './logger.mjs';
 
-const cache = new NodeCache({ stdTTL: 3600 }); // 1h cache
+const cache = new NodeCache({ stdTTL: 3600, useClones: false }); // 1h cache (parser instances can't be cloned)
+
+const DEFAULT_USER_AGENT = process.env.BOT_NAME || 'CSV-Webcrawler/2.0';
+
+/**
+ * Fetch and parse robots.txt for the origin of a URL (cached)
+ * @param {string} url - Any URL on the site
+ * @param {string} userAgent - User agent string
+ * @returns {Promise<Object>} robots-parser instance
+ */
+async function getRobots(url, userAgent) {
+  const { origin } = new URL(url);
+  const robotsUrl = `${origin}/robots.txt`;
+  
+  let robots = cache.get(robotsUrl);
+  if (robots) return robots;
+  
+  try {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 5000);
+    
+    const res = await fetch(robotsUrl, { 
+      signal: controller.signal,
+      headers: { 'User-Agent': userAgent }
+    });
+    clearTimeout(timeout);
+    
+    const txt = res.ok ? await res.text() : 'User-agent: *\nAllow: /';
+    robots = robotsParser(robotsUrl, txt);
+    cache.set(robotsUrl, robots);
+    
+    logger.debug('Fetched robots.txt', { origin, sitemaps: robots.getSitemaps().length });
+  } catch (err) {
+    // On error, assume permissive
+    logger.warn('Failed to fetch robots.txt, assuming permissive', { origin, error: err.message });
+    robots = robotsParser(robotsUrl, 'User-agent: *\nAllow: /');
+    cache.set(robotsUrl, robots);
+  }
+  
+  return robots;
+}
 
 /**
  * Check if URL is allowed by robots.txt
@@ -10,37 +50,12 @@ const cache = new NodeCache({ stdTTL: 3600 }); // 1h cache
  * @param {string} userAgent - User agent string
  * @returns {Promise<{allowed: boolean, crawlDelay: number}>}
  */
-export async function isAllowed(url, userAgent = process.env.BOT_NAME || 'CSV-Webcrawler/2.0') {
+export async function isAllowed(url, userAgent = DEFAULT_USER_AGENT) {
   try {
-    const { origin, pathname } = new URL(url);
-    const robotsUrl = `${origin}/robots.txt`;
-    
-    let robots = cache.get(robotsUrl);
-    if (!robots) {
-      try {
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 5000);
-        
-        const res = await fetch(robotsUrl, { 
-          signal: controller.signal,
-          headers: { 'User-Agent': userAgent }
-        });
-        clearTimeout(timeout);
-        
-        const txt = res.ok ? await res.text() : 'User-agent: *\nAllow: /';
-        robots = robotsParser(robotsUrl, txt);
-        cache.set(robotsUrl, robots);
-        
-        logger.debug('Fetched robots.txt', { origin, allowed: robots.isAllowed(pathname, userAgent) });
-      } catch (err) {
-        // On error, assume permissive
-        logger.warn('Failed to fetch robots.txt, assuming permissive', { origin, error: err.message });
-        robots = robotsParser(robotsUrl, 'User-agent: *\nAllow: /');
-        cache.set(robotsUrl, robots);
-      }
-    }
+    const robots = await getRobots(url, userAgent);
     
-    const allowed = robots.isAllowed(pathname, userAgent);
+    // robots-parser needs the full URL; undefined means "not covered"
+    const allowed = robots.isAllowed(url, userAgent) !== false;
     const crawlDelay = robots.getCrawlDelay(userAgent) || 0;
     
     return { allowed, crawlDelay };
@@ -50,10 +65,25 @@ export async function isAllowed(url, userAgent = process.env.BOT_NAME || 'CSV-We
   }
 }
 
+/**
+ * Get sitemap URLs declared with `Sitemap:` lines in robots.txt
+ * @param {string} url - Any URL on the site
+ * @param {string} userAgent - User agent string
+ * @returns {Promise<Array<string>>}
+ */
+export async function getSitemaps(url, userAgent = DEFAULT_USER_AGENT) {
+  try {
+    const robots = await getRobots(url, userAgent);
+    return robots.getSitemaps();
+  } catch (err) {
+    logger.error('Error reading sitemaps from robots.txt', { url, error: err.message });
+    return [];
+  }
+}
+
 /**
  * Clear robots.txt cache (useful for testing)
  */
 export function clearCache() {
   cache.flushAll();
 }
-
@@ -0,0 +1,211 @@
+import { logger } from './logger.mjs';
+
+/**
+ * Default weights, as fractions of 1 (0.05 = 5 percentage points)
+ *
+ * sources         strength per source, overriding the extractor's own
+ *                 (json-ld 0.95, json-ld-person 0.90, mailto 0.85, cloudflare 0.85,
+ *                 html-entities 0.80, obfuscated-text 0.70, footer 0.60, javascript 0.60, inline 0.50)
+ * corroboration   per further source type the address was found in, up to maxCorroboration
+ * extraPage       per further page the address was seen on, up to maxExtraPages
+ * contactPage     seen on a contact page; keyPage: on an about or team page
+ * siteDomain      address on the site's own domain; foreignDomain: on an unrelated domain
+ * role/personal/generic  by email type
+ * valid/catchAll  by deliverability; invalidCap caps undeliverable addresses
+ * freeMail        webmail or ISP address
+ * suspicious      test/example/placeholder addresses
+ */
+const DEFAULT_WEIGHTS = {
+  sources: {},
+  corroboration: 0.03,
+  maxCorroboration: 0.09,
+  extraPage: 0.02,
+  maxExtraPages: 0.06,
+  contactPage: 0.10,
+  keyPage: 0.05,
+  siteDomain: 0.05,
+  foreignDomain: -0.10,
+  role: 0.05,
+  personal: -0.05,
+  generic: -0.15,
+  valid: 0.05,
+  catchAll: -0.10,
+  invalidCap: 0.10,
+  freeMail: -0.05,
+  suspicious: -0.50
+};
+
+const WEIGHT_NAMES = Object.keys(DEFAULT_WEIGHTS).filter(name => name !== 'sources');
+const SUSPICIOUS = /test|example|placeholder/i;
+
+/**
+ * Check a partial weights object (from SCORE_WEIGHTS or a job's scoreWeights)
+ * @param {*} value
+ * @returns {{valid: boolean, value?: Object, message?: string}}
+ */
+export function validateScoreWeights(value) {
+  if (value === undefined || value === null || value === '') return { valid: true, value: {} };
+  
+  let weights = value;
+  if (typeof value === 'string') {
+    try {
+      weights = JSON.parse(value);
+    } catch {
+      return { valid: false, message: 'Poängvikter måste vara JSON' };
+    }
+  }
+  if (typeof weights !== 'object' || Array.isArray(weights)) {
+    return { valid: false, message: 'Poängvikter måste vara ett objekt' };
+  }
+  
+  for (const [name, weight] of Object.entries(weights)) {
+    if (name === 'sources') {
+      if (typeof weight !== 'object' || weight === null || Array.isArray(weight)) {
+        return { valid: false, message: 'sources måste vara ett objekt' };
+      }
+      for (const [source, strength] of Object.entries(weight)) {
+        if (typeof strength !== 'number' || strength < 0 || strength > 1) {
+          return { valid: false, message: `sources.${source} måste vara mellan 0 och 1` };
+        }
+      }
+    } else if (!WEIGHT_NAMES.includes(name)) {
+      return { valid: false, message: `Okänd vikt: ${name}` };
+    } else if (typeof weight !== 'number' || weight < -1 || weight > 1) {
+      return { valid: false, message: `${name} måste vara mellan -1 och 1` };
+    }
+  }
+  
+  return { valid: true, value: weights };
+}
+
+/**
+ * Weights with a partial override merged in
+ * @param {Object} base
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+function mergeWeights(base, overrides = {}) {
+  return { ...base, ...overrides, sources: { ...base.sources, ...overrides.sources } };
+}
+
+const envWeights = validateScoreWeights(process.env.SCORE_WEIGHTS);
+if (!envWeights.valid) {
+  logger.warn('Ignoring SCORE_WEIGHTS', { error: envWeights.message });
+}
+const SERVER_WEIGHTS = mergeWeights(DEFAULT_WEIGHTS, envWeights.valid ? envWeights.value : {});
+
+/**
+ * Effective weights: defaults, then SCORE_WEIGHTS, then the job's overrides
+ * @param {Object} [overrides] - Validated partial weights
+ * @returns {Object}
+ */
+export function getScoreWeights(overrides = {}) {
+  return mergeWeights(SERVER_WEIGHTS, overrides);
+}
+
+function points(weight) {
+  return Math.round(weight * 100);
+}
+
+// Same domain or a subdomain of it: mail.firma.se is on firma.se, a.se is not
+function onDomain(name, domain) {
+  return name === domain || name.endsWith(`.${domain}`);
+}
+
+/**
+ * Whether an email domain belongs to the crawled site (either may be a subdomain of the other)
+ * @param {string} domain - Email domain
+ * @param {string} host - Site hostname
+ * @returns {boolean}
+ */
+export function isSiteDomain(domain, host) {
+  if (!domain || !host) return false;
+  return onDomain(domain, host) || onDomain(host, domain);
+}
+
+function signed(n) {
+  return n >= 0 ? `+${n}` : `${n}`;
+}
+
+/**
+ * Score one email from all the evidence gathered for it
+ * The strongest source sets the base; every other factor adds or removes
+ * percentage points, and each step is kept so the result can be explained.
+ * @param {Object} evidence
+ * @param {string} evidence.email
+ * @param {string} evidence.emailType - role, personal, generic, unknown
+ * @param {Object<string, number>} evidence.sightings - source -> extractor confidence (0-1)
+ * @param {number} evidence.pages - Distinct pages the address was seen on
+ * @param {'contact'|'key'|null} evidence.pageType - Best kind of page it was seen on
+ * @param {string} evidence.siteHost
+ * @param {string} [evidence.deliverability]
+ * @param {boolean} [evidence.freeMail]
+ * @param {Object} [weights] - From getScoreWeights()
+ * @returns {{confidence: number, breakdown: Array<{factor: string, label: string, points: number}>}}
+ */
+export function scoreContact(evidence, weights = SERVER_WEIGHTS) {
+  const breakdown = [];
+  const add = (factor, label, weight) => {
+    const p = points(weight);
+    if (p !== 0) breakdown.push({ factor, label, points: p });
+  };
+  
+  // Strongest source
+  const strengths = Object.entries(evidence.sightings || {})
+    .map(([source, confidence]) => [source, weights.sources[source] ?? confidence ?? 0.5])
+    .sort((a, b) => b[1] - a[1]);
+  const [best, ...others] = strengths.length ? strengths : [['unknown', 0.5]];
+  breakdown.push({ factor: 'source', label: best[0], points: points(best[1]) });
+  
+  if (others.length) {
+    const names = others.map(([source]) => source).join(', ');
+    add('corroboration', `also ${names}`, Math.min(others.length * weights.corroboration, weights.maxCorroboration));
+  }
+  if (evidence.pages > 1) {
+    add('pages', `${evidence.pages} pages`, Math.min((evidence.pages - 1) * weights.extraPage, weights.maxExtraPages));
+  }
+  if (evidence.pageType === 'contact') add('pageType', 'contact page', weights.contactPage);
+  if (evidence.pageType === 'key') add('pageType', 'about/team page', weights.keyPage);
+  
+  // Domain
+  const domain = evidence.email.split('@')[1] || '';
+  const host = evidence.siteHost || '';
+  if (isSiteDomain(domain, host)) {
+    add('domain', 'site domain', weights.siteDomain);
+  } else if (!evidence.freeMail) {
+    add('domain', 'other domain', weights.foreignDomain);
+  }
+  
+  if (evidence.emailType === 'role') add('emailType', 'role address', weights.role);
+  if (evidence.emailType === 'personal') add('emailType', 'personal address', weights.personal);
+  if (evidence.emailType === 'generic') add('emailType', 'generic address', weights.generic);
+  if (evidence.freeMail) add('freeMail', 'free mail', weights.freeMail);
+  if (SUSPICIOUS.test(evidence.email)) add('suspicious', 'looks like a placeholder', weights.suspicious);
+  
+  if (evidence.deliverability === 'valid') add('deliverability', 'mailbox verified', weights.valid);
+  if (evidence.deliverability === 'catch-all') add('deliverability', 'catch-all domain', weights.catchAll);
+  
+  let total = breakdown.reduce((sum, step) => sum + step.points, 0);
+  
+  if (evidence.deliverability === 'invalid' && total > points(weights.invalidCap)) {
+    breakdown.push({ factor: 'deliverability', label: 'undeliverable', points: points(weights.invalidCap) - total });
+    total = points(weights.invalidCap);
+  }
+  const clamped = Math.max(0, Math.min(100, total));
+  if (clamped !== total) breakdown.push({ factor: 'cap', label: 'capped', points: clamped - total });
+  
+  return { confidence: clamped / 100, breakdown };
+}
+
+/**
+ * Human-readable breakdown, e.g. "mailto 85; also inline +3; contact page +10; site domain +5 = 100%"
+ * @param {Array<{label: string, points: number}>} breakdown
+ * @param {number} confidence - 0-1
+ * @returns {string}
+ */
+export function formatScoreBreakdown(breakdown = [], confidence) {
+  if (!breakdown.length) return '';
+  const [base, ...steps] = breakdown;
+  const parts = [`${base.label} ${base.points}`, ...steps.map(s => `${s.label} ${signed(s.points)}`)];
+  return `${parts.join('; ')} = ${Math.round(confidence * 100)}%`;
+}
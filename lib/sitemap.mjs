@@ -0,0 +1,140 @@
+import { gunzipSync } from 'node:zlib';
+import * as cheerio from 'cheerio';
+import NodeCache from 'node-cache';
+import { logger } from './logger.mjs';
+import { fetchSitemapBody } from './fetcher.mjs';
+import { withRateLimit } from './rateLimiter.mjs';
+import { getSitemaps, isAllowed } from './robots.mjs';
+import { isSafeUrl } from './validators/url.mjs';
+import { scoreLink } from './extractors/index.mjs';
+import { getCountryProfile } from './countryProfiles.mjs';
+
+const cache = new NodeCache({ stdTTL: 3600, useClones: false }); // 1h cache
+
+const MAX_SITEMAP_FILES = parseInt(process.env.SITEMAP_MAX_FILES) || 3;
+const MAX_SITEMAP_BYTES = 20 * 1024 * 1024; // 20MB uncompressed
+const MAX_CANDIDATES = 20;
+
+// Child sitemaps most likely to list static pages (WordPress/Yoast, Wix)
+const PAGE_SITEMAP = /page|pages|sida|sidor|static/i;
+const CONTENT_SITEMAP = /post|product|produkt|category|kategori|tag|blog|news|author/i;
+
+/**
+ * Download and decode one sitemap file (plain or gzipped)
+ * Goes through the same SSRF check and per-host rate limiter as page fetches
+ * @param {string} url - Sitemap URL
+ * @returns {Promise<string|null>} XML text, or null if unavailable
+ */
+async function loadSitemap(url) {
+  const safety = await isSafeUrl(url);
+  if (!safety.safe) {
+    logger.warn('Sitemap blocked by SSRF protection', { url, reason: safety.reason });
+    return null;
+  }
+  
+  const { allowed } = await isAllowed(url);
+  if (!allowed) {
+    logger.info('Sitemap blocked by robots.txt', { url });
+    return null;
+  }
+  
+  try {
+    let body = await withRateLimit(url, () => fetchSitemapBody(url, MAX_SITEMAP_BYTES));
+    
+    // Gzip magic bytes (servers rarely set Content-Encoding for .xml.gz)
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+      body = gunzipSync(body, { maxOutputLength: MAX_SITEMAP_BYTES });
+    }
+    if (body.length > MAX_SITEMAP_BYTES) {
+      logger.warn('Sitemap too large, skipping', { url, size: body.length });
+      return null;
+    }
+    
+    return body.toString('utf8');
+  } catch (err) {
+    logger.debug('Failed to load sitemap', { url, error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Order child sitemaps of an index so page sitemaps are read first
+ * @param {string} url
+ * @returns {number}
+ */
+function sitemapPriority(url) {
+  if (PAGE_SITEMAP.test(url)) return 2;
+  if (CONTENT_SITEMAP.test(url)) return 0;
+  return 1;
+}
+
+/**
+ * Find contact-like pages listed in a site's sitemaps
+ * Reads `Sitemap:` lines from robots.txt plus the default /sitemap.xml,
+ * following sitemap indexes up to SITEMAP_MAX_FILES files.
+ * @param {string} rootUrl - Site root, e.g. https://example.se
+ * @param {Object} [profile] - Country profile (contact-page vocabulary)
+ * @returns {Promise<Array<{url: string, score: number}>>} Candidates, best first
+ */
+export async function findSitemapPages(rootUrl, profile = getCountryProfile()) {
+  const cacheKey = `${profile.id} ${rootUrl}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+  
+  const siteHost = new URL(rootUrl).hostname.replace(/^www\./i, '');
+  const declared = await getSitemaps(rootUrl);
+  const queue = [...new Set([...declared, `${rootUrl}/sitemap.xml`])];
+  const visited = new Set();
+  const candidates = new Map();
+  
+  while (queue.length > 0 && visited.size < MAX_SITEMAP_FILES) {
+    const sitemapUrl = queue.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+    
+    const xml = await loadSitemap(sitemapUrl);
+    if (!xml) continue;
+    
+    const $ = cheerio.load(xml, { xmlMode: true });
+    
+    // Sitemap index: queue child sitemaps, page sitemaps first
+    const children = $('sitemapindex > sitemap > loc').map((_, el) => $(el).text().trim()).get();
+    if (children.length > 0) {
+      children
+        .filter(Boolean)
+        .sort((a, b) => sitemapPriority(b) - sitemapPriority(a))
+        .forEach(child => queue.push(child));
+      queue.sort((a, b) => sitemapPriority(b) - sitemapPriority(a));
+      continue;
+    }
+    
+    $('urlset > url > loc').each((_, el) => {
+      try {
+        const url = new URL($(el).text().trim());
+        if (url.hostname.replace(/^www\./i, '') !== siteHost) return;
+        
+        const score = scoreLink(decodeURIComponent(url.pathname).toLowerCase(), '', profile);
+        if (score > 0 && !candidates.has(url.href)) {
+          candidates.set(url.href, { url: url.href, score });
+        }
+      } catch {
+        // Invalid URL, skip
+      }
+    });
+  }
+  
+  const pages = [...candidates.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES);
+  
+  logger.debug('Sitemap discovery done', { rootUrl, sitemaps: visited.size, candidates: pages.length });
+  cache.set(cacheKey, pages);
+  return pages;
+}
+
+/**
+ * Clear sitemap cache (useful for testing)
+ */
+export function clearCache() {
+  cache.flushAll();
+}
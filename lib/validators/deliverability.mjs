@@ -0,0 +1,289 @@
+import net from 'node:net';
+import dns from 'dns/promises';
+import { randomBytes } from 'node:crypto';
+import NodeCache from 'node-cache';
+import { logger } from '../logger.mjs';
+import { isSafeHost } from './url.mjs';
+
+const ENABLE_MX_CHECK = process.env.ENABLE_MX_CHECK === 'true';
+const ENABLE_SMTP_PROBE = process.env.ENABLE_SMTP_PROBE === 'true';
+// Probe this host instead of the domain's MX (a local stand-in in tests)
+const SMTP_PROBE_HOST = process.env.SMTP_PROBE_HOST || '';
+const SMTP_PROBE_PORT = parseInt(process.env.SMTP_PROBE_PORT) || 25;
+const SMTP_PROBE_TIMEOUT_MS = parseInt(process.env.SMTP_PROBE_TIMEOUT_MS) || 10000;
+const SMTP_PROBE_HELO = process.env.SMTP_PROBE_HELO || 'localhost';
+const SMTP_PROBE_FROM = process.env.SMTP_PROBE_FROM || `verify@${SMTP_PROBE_HELO}`;
+
+const DISPOSABLE_DOMAINS = new Set([
+  'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com', 'grr.la', '10minutemail.com',
+  'temp-mail.org', 'tempmail.com', 'tempmail.net', 'throwawaymail.com', 'yopmail.com', 'yopmail.net',
+  'trashmail.com', 'trashmail.de', 'getnada.com', 'maildrop.cc', 'dispostable.com', 'fakeinbox.com',
+  'mintemail.com', 'mohmal.com', 'emailondeck.com', 'spamgourmet.com', 'mailnesia.com', 'tempr.email',
+  'discard.email', 'mailcatch.com', 'moakt.com', 'burnermail.io',
+  ...String(process.env.DISPOSABLE_DOMAINS || '').split(',').map(d => d.trim().toLowerCase()).filter(Boolean)
+]);
+const FREE_MAIL = /^(gmail\.com|googlemail\.com|(hotmail|outlook|live|msn)\.[a-z.]+|yahoo\.[a-z.]+|ymail\.com|icloud\.com|me\.com|mac\.com|aol\.com|gmx\.[a-z.]+|mail\.com|protonmail\.com|proton\.me|zoho\.com|telia\.com|bredband\.net|comhem\.se|spray\.se|tele2\.se|live\.se|online\.no|jubii\.dk|suomi24\.fi)$/i;
+
+/**
+ * Deliverability statuses, as stored on ContactRecord.deliverability
+ */
+export const DELIVERABILITY_STATUSES = ['valid', 'catch-all', 'invalid', 'unknown'];
+
+// Per-domain MX lookups (failed lookups are not cached)
+const mxCache = new NodeCache({ stdTTL: 3600, checkperiod: 600 });
+
+/**
+ * Whether a domain hands out throwaway addresses
+ * @param {string} domain
+ * @returns {boolean}
+ */
+export function isDisposableDomain(domain) {
+  return DISPOSABLE_DOMAINS.has(String(domain || '').toLowerCase());
+}
+
+/**
+ * Whether a domain is a free webmail or ISP mail provider
+ * @param {string} domain
+ * @returns {boolean}
+ */
+export function isFreeMailDomain(domain) {
+  return FREE_MAIL.test(String(domain || ''));
+}
+
+/**
+ * Mail exchangers for a domain, lowest preference first
+ * A domain without MX but with an address record receives mail on it (RFC 5321 §5.1).
+ * @param {string} domain
+ * @returns {Promise<{hosts: string[], error: string|null}>} hosts is empty when the domain takes no mail
+ */
+async function lookupMx(domain) {
+  try {
+    const records = await dns.resolveMx(domain);
+    const hosts = records
+      .filter(r => r.exchange && r.exchange !== '.')
+      .sort((a, b) => a.priority - b.priority)
+      .map(r => r.exchange);
+    return { hosts, error: null };
+  } catch (err) {
+    // ENOTFOUND: no such domain; ENODATA: no MX, try the address record
+    if (err.code === 'ENOTFOUND') return { hosts: [], error: null };
+    if (err.code !== 'ENODATA') return { hosts: [], error: err.code || err.message };
+  }
+  
+  try {
+    await dns.resolve4(domain);
+    return { hosts: [domain], error: null };
+  } catch {
+    return { hosts: [], error: null };
+  }
+}
+
+/**
+ * Minimal SMTP client: one command at a time, multi-line replies joined
+ * @param {string} host
+ * @param {number} port
+ * @returns {Promise<{command: Function, close: Function}>} Resolves after the 220 greeting
+ */
+function openSmtp(host, port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    socket.setEncoding('utf8');
+    socket.setTimeout(SMTP_PROBE_TIMEOUT_MS);
+    
+    let buffer = '';
+    let lines = [];
+    let pending = null;
+    
+    const settle = (reply, error) => {
+      const current = pending;
+      pending = null;
+      if (!current) return;
+      if (error) current.reject(error);
+      else current.resolve(reply);
+    };
+    
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, index).replace(/\r$/, '');
+        buffer = buffer.slice(index + 1);
+        lines.push(line);
+        // "250-..." continues, "250 ..." ends the reply
+        if (/^\d{3}(?!-)/.test(line)) {
+          const reply = { code: Number(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join(' ') };
+          lines = [];
+          settle(reply);
+        }
+      }
+    });
+    socket.on('timeout', () => {
+      settle(null, new Error('SMTP timeout'));
+      socket.destroy();
+    });
+    socket.on('error', (err) => settle(null, err));
+    socket.on('close', () => settle(null, new Error('SMTP connection closed')));
+    
+    const command = (line) => new Promise((res, rej) => {
+      pending = { resolve: res, reject: rej };
+      socket.write(`${line}\r\n`);
+    });
+    const close = () => {
+      if (!socket.destroyed) socket.end('QUIT\r\n');
+    };
+    
+    // The server speaks first
+    pending = {
+      resolve: (reply) => {
+        if (reply.code === 220) return resolve({ command, close });
+        socket.destroy();
+        reject(new Error(`SMTP greeting ${reply.code}`));
+      },
+      reject
+    };
+  });
+}
+
+/**
+ * Ask a mail server whether it accepts each recipient (RCPT TO), without sending mail
+ * A random address at the domain is asked first: accepting it means catch-all.
+ * @param {string} host - Mail server
+ * @param {string} domain
+ * @param {string[]} emails - Addresses at the domain
+ * @returns {Promise<{catchAll: boolean|null, codes: Map<string, number>}>}
+ */
+export async function probeMailboxes(host, domain, emails) {
+  const smtp = await openSmtp(host, SMTP_PROBE_PORT);
+  const codes = new Map();
+  
+  try {
+    let reply = await smtp.command(`EHLO ${SMTP_PROBE_HELO}`);
+    if (reply.code !== 250) reply = await smtp.command(`HELO ${SMTP_PROBE_HELO}`);
+    if (reply.code !== 250) throw new Error(`SMTP HELO ${reply.code}`);
+    
+    reply = await smtp.command(`MAIL FROM:<${SMTP_PROBE_FROM}>`);
+    if (reply.code !== 250) throw new Error(`SMTP MAIL FROM ${reply.code}`);
+    
+    const random = `${randomBytes(8).toString('hex')}@${domain}`;
+    const randomReply = await smtp.command(`RCPT TO:<${random}>`);
+    const catchAll = randomReply.code >= 500 ? false : randomReply.code < 300 ? true : null;
+    
+    for (const email of emails) {
+      const rcpt = await smtp.command(`RCPT TO:<${email}>`);
+      codes.set(email, rcpt.code);
+    }
+    
+    return { catchAll, codes };
+  } finally {
+    smtp.close();
+  }
+}
+
+/**
+ * Mail exchangers for a domain (cached)
+ * @param {string} domain
+ * @returns {Promise<{hosts: string[], error: string|null}>}
+ */
+async function mailHosts(domain) {
+  const cached = mxCache.get(domain);
+  if (cached) return cached;
+  
+  const mx = await lookupMx(domain);
+  if (!mx.error) mxCache.set(domain, mx);
+  return mx;
+}
+
+/**
+ * MX and SMTP facts for one domain
+ * @param {string} domain
+ * @param {string[]} emails - Addresses to probe at the domain
+ * @returns {Promise<{mx: boolean|null, catchAll: boolean|null, codes: Map<string, number>, error: string|null}>}
+ */
+async function checkDomain(domain, emails) {
+  const result = { mx: null, catchAll: null, codes: new Map(), error: null };
+  
+  let hosts = [];
+  if (ENABLE_MX_CHECK || (ENABLE_SMTP_PROBE && !SMTP_PROBE_HOST)) {
+    const mx = await mailHosts(domain);
+    result.mx = mx.error ? null : mx.hosts.length > 0;
+    result.error = mx.error;
+    hosts = mx.hosts;
+  }
+  if (SMTP_PROBE_HOST) hosts = [SMTP_PROBE_HOST];
+  
+  if (ENABLE_SMTP_PROBE && result.mx !== false && hosts.length > 0) {
+    try {
+      // Crawled domains choose their MX: connect only to a checked public
+      // address (the configured stand-in is trusted)
+      let address = hosts[0];
+      if (!SMTP_PROBE_HOST) {
+        const safety = await isSafeHost(hosts[0]);
+        if (!safety.safe) throw new Error(`Unsafe mail host: ${safety.reason}`);
+        if (!safety.addresses.length) throw new Error('Mail host does not resolve');
+        address = safety.addresses[0];
+      }
+      const probe = await probeMailboxes(address, domain, emails);
+      result.catchAll = probe.catchAll;
+      result.codes = probe.codes;
+    } catch (err) {
+      logger.debug('SMTP probe failed', { domain, host: hosts[0], error: err.message });
+      result.error = err.message;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Verify a batch of addresses: disposable/free-mail detection, MX lookup and
+ * (when enabled) an SMTP RCPT probe per domain
+ * valid: the server accepts the address and rejects a random one
+ * catch-all: the server accepts any address at the domain
+ * invalid: no mail server, the address is rejected, or a disposable domain
+ * unknown: not checked, or the server would not say
+ * @param {string[]} emails
+ * @returns {Promise<Map<string, {deliverability: string, reason: string|null, freeMail: boolean, disposable: boolean}>>}
+ */
+export async function verifyEmails(emails) {
+  const results = new Map();
+  const byDomain = new Map();
+  
+  for (const email of emails) {
+    const domain = email.split('@')[1]?.toLowerCase();
+    const base = { freeMail: isFreeMailDomain(domain), disposable: isDisposableDomain(domain) };
+    if (!domain) {
+      results.set(email, { ...base, deliverability: 'invalid', reason: 'syntax' });
+    } else if (base.disposable) {
+      results.set(email, { ...base, deliverability: 'invalid', reason: 'disposable' });
+    } else {
+      results.set(email, { ...base, deliverability: 'unknown', reason: null });
+      if (!byDomain.has(domain)) byDomain.set(domain, []);
+      byDomain.get(domain).push(email);
+    }
+  }
+  
+  if (!ENABLE_MX_CHECK && !ENABLE_SMTP_PROBE) return results;
+  
+  for (const [domain, addresses] of byDomain) {
+    const check = await checkDomain(domain, addresses);
+    
+    for (const email of addresses) {
+      const result = results.get(email);
+      const code = check.codes.get(email);
+      
+      if (check.mx === false) {
+        Object.assign(result, { deliverability: 'invalid', reason: 'no-mx' });
+      } else if (code >= 500) {
+        Object.assign(result, { deliverability: 'invalid', reason: `smtp-${code}` });
+      } else if (code >= 200 && code < 300) {
+        Object.assign(result, check.catchAll
+          ? { deliverability: 'catch-all', reason: 'catch-all' }
+          : { deliverability: check.catchAll === false ? 'valid' : 'unknown', reason: `smtp-${code}` });
+      } else {
+        result.reason = code ? `smtp-${code}` : check.error;
+      }
+    }
+  }
+  
+  return results;
+}
@@ -0,0 +1,46 @@
+/**
+ * Luhn checksum (mod 10) over a digit string
+ * Swedish organisation numbers use it on all 10 digits.
+ * @param {string} digits
+ * @returns {boolean}
+ */
+export function luhnValid(digits) {
+  if (!/^\d+$/.test(digits)) return false;
+  
+  let sum = 0;
+  // Weight 2 on every second digit counted from the right, excluding the check digit
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Normalize and validate a Swedish organisation number
+ * Accepts "556123-4567", "5561234567", "16556123-4567" and VAT numbers
+ * ("SE556123456701"). Only legal entities are accepted: their third digit is
+ * 2 or higher, which rules out personal identity numbers (sole traders).
+ * @param {string} value
+ * @returns {string|null} "NNNNNN-NNNN", or null if invalid
+ */
+export function normalizeOrgNumber(value) {
+  let digits = String(value || '').toUpperCase().replace(/[\s–-]/g, '');
+  
+  // VAT number: SE + organisation number + 01
+  const vat = digits.match(/^SE(\d{10})01$/);
+  if (vat) digits = vat[1];
+  
+  // Century prefix used by some registries for legal entities
+  if (/^16\d{10}$/.test(digits)) digits = digits.slice(2);
+  
+  if (!/^\d{10}$/.test(digits)) return null;
+  if (Number(digits[2]) < 2) return null;
+  if (!luhnValid(digits)) return null;
+  
+  return `${digits.slice(0, 6)}-${digits.slice(6)}`;
+}
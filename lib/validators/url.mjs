@@ -1,6 +1,8 @@
 import { isIP } from 'net';
 import dns from 'dns/promises';
+import { isSupportedCountry } from 'libphonenumber-js/max';
 import { logger } from '../logger.mjs';
+import { COUNTRY_PROFILE_IDS } from '../countryProfiles.mjs';
 
 const BLOCKED_IP_PATTERNS = [
   /^127\./,                           // localhost
@@ -14,48 +16,59 @@ const BLOCKED_IP_PATTERNS = [
   /^0\./,                             // Invalid
 ];
 
+/**
+ * Check that a hostname does not point at a private, loopback or link-local address
+ * @param {string} hostname
+ * @returns {Promise<{safe: boolean, reason?: string, addresses?: string[]}>} addresses is empty when the name does not resolve
+ */
+export async function isSafeHost(hostname) {
+  // Check if hostname is an IP address
+  if (isIP(hostname)) {
+    if (BLOCKED_IP_PATTERNS.some(pattern => pattern.test(hostname))) {
+      logger.warn('SSRF attempt: Private IP blocked', { ip: hostname });
+      return { safe: false, reason: 'Private IP address blocked' };
+    }
+    return { safe: true, addresses: [hostname] };
+  }
+  
+  // DNS resolution check (prevent DNS rebinding)
+  try {
+    const addresses = await dns.resolve4(hostname);
+    for (const addr of addresses) {
+      if (BLOCKED_IP_PATTERNS.some(pattern => pattern.test(addr))) {
+        logger.warn('SSRF attempt: DNS resolves to private IP', { hostname, ip: addr });
+        return { safe: false, reason: 'Domain resolves to private IP' };
+      }
+    }
+    return { safe: true, addresses };
+  } catch (dnsErr) {
+    // DNS resolution failed - might be IPv6 only or invalid domain
+    logger.debug('DNS resolution failed', { hostname, error: dnsErr.message });
+    return { safe: true, addresses: [] };
+  }
+}
+
 /**
  * Check if URL is safe (SSRF protection)
  * @param {string} url - URL to validate
  * @returns {Promise<{safe: boolean, reason?: string}>}
  */
 export async function isSafeUrl(url) {
+  let u;
   try {
-    const u = new URL(url);
-    
-    // Only allow HTTP(S)
-    if (!['http:', 'https:'].includes(u.protocol)) {
-      return { safe: false, reason: 'Invalid protocol (only HTTP/HTTPS allowed)' };
-    }
-    
-    // Check if hostname is an IP address
-    if (isIP(u.hostname)) {
-      if (BLOCKED_IP_PATTERNS.some(pattern => pattern.test(u.hostname))) {
-        logger.warn('SSRF attempt: Private IP blocked', { url, ip: u.hostname });
-        return { safe: false, reason: 'Private IP address blocked' };
-      }
-    }
-    
-    // DNS resolution check (prevent DNS rebinding)
-    try {
-      const addresses = await dns.resolve4(u.hostname);
-      for (const addr of addresses) {
-        if (BLOCKED_IP_PATTERNS.some(pattern => pattern.test(addr))) {
-          logger.warn('SSRF attempt: DNS resolves to private IP', { url, hostname: u.hostname, ip: addr });
-          return { safe: false, reason: 'Domain resolves to private IP' };
-        }
-      }
-    } catch (dnsErr) {
-      // DNS resolution failed - might be IPv6 only or invalid domain
-      logger.debug('DNS resolution failed', { url, hostname: u.hostname, error: dnsErr.message });
-      // We'll allow it but it will likely fail on fetch anyway
-    }
-    
-    return { safe: true };
-    
+    u = new URL(url);
   } catch (err) {
     return { safe: false, reason: 'Invalid URL format' };
   }
+  
+  // Only allow HTTP(S)
+  if (!['http:', 'https:'].includes(u.protocol)) {
+    return { safe: false, reason: 'Invalid protocol (only HTTP/HTTPS allowed)' };
+  }
+  
+  // A name that does not resolve is allowed; the fetch will fail anyway
+  const { safe, reason } = await isSafeHost(u.hostname);
+  return safe ? { safe } : { safe, reason };
 }
 
 /**
@@ -80,6 +93,30 @@ export function validateMaxPages(value) {
   return { valid: true, value: Math.floor(n) };
 }
 
+/**
+ * Validate the default phone region (ISO country code, optional)
+ */
+export function validatePhoneRegion(value) {
+  if (!value) return { valid: true, value: null };
+  const region = String(value).trim().toUpperCase();
+  if (!/^[A-Z]{2}$/.test(region) || !isSupportedCountry(region)) {
+    return { valid: false, value: null, message: 'Telefonregion måste vara en landskod, t.ex. SE eller NO' };
+  }
+  return { valid: true, value: region };
+}
+
+/**
+ * Validate the country profile (optional; the server default applies when empty)
+ */
+export function validateCountryProfile(value) {
+  if (!value) return { valid: true, value: null };
+  const id = String(value).trim().toUpperCase();
+  if (!COUNTRY_PROFILE_IDS.includes(id)) {
+    return { valid: false, value: null, message: `Landsprofil måste vara en av ${COUNTRY_PROFILE_IDS.join(', ')}` };
+  }
+  return { valid: true, value: id };
+}
+
 /**
  * Sanitize tags input (prevent injection)
  */
@@ -0,0 +1,180 @@
+import crypto from 'node:crypto';
+import { setTimeout as delay } from 'node:timers/promises';
+import { logger } from './logger.mjs';
+import { isSafeUrl } from './validators/url.mjs';
+import { logEvent } from './auditLog.mjs';
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const DEFAULT_WEBHOOK_URL = process.env.WEBHOOK_URL || null;
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const BOT_USER_AGENT = process.env.BOT_NAME || 'CSV-Webcrawler/2.0';
+
+/**
+ * Sign a webhook body
+ * The signature covers `${timestamp}.${body}` so a captured request can't be
+ * replayed with a fresh timestamp.
+ * @param {string} body - Raw JSON body
+ * @param {string} timestamp - Unix timestamp (seconds) sent in X-Webhook-Timestamp
+ * @param {string} secret - Shared secret
+ * @returns {string} Signature header value, e.g. "sha256=ab12..."
+ */
+export function signPayload(body, timestamp, secret = WEBHOOK_SECRET) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Pick the callback URL for a job (per-job URL, else the global default)
+ * @param {Object} config - Job config
+ * @returns {string|null}
+ */
+export function resolveCallbackUrl(config = {}) {
+  return config.callbackUrl || DEFAULT_WEBHOOK_URL;
+}
+
+/**
+ * Build the webhook payload for a job event
+ * @param {'completed'|'failed'|'cancelled'} event
+ * @param {string} jobId
+ * @param {Object} details - {stats, errors, failedReason, tags, user}
+ * @returns {Object}
+ */
+export function buildPayload(event, jobId, { stats = null, errors = [], failedReason = null, tags = '', user = 'anonymous' } = {}) {
+  const jobUrl = `${PUBLIC_BASE_URL}/api/jobs/${jobId}`;
+  
+  return {
+    event,
+    jobId,
+    timestamp: new Date().toISOString(),
+    user,
+    tags,
+    stats,
+    errorCount: errors.length,
+    failedReason: failedReason || undefined,
+    links: {
+      job: jobUrl,
+      records: `${jobUrl}/records`,
+      exports: event === 'failed' ? undefined : {
+        enriched: `${jobUrl}/export?format=enriched`,
+        highquality: `${jobUrl}/export?format=highquality`,
+        mailchimp: `${jobUrl}/export?format=mailchimp`
+      }
+    }
+  };
+}
+
+/**
+ * POST a signed payload, retrying with exponential backoff
+ * Network errors, 429 and 5xx are retried; other responses are final.
+ * @param {string} url - Callback URL (must pass the SSRF check)
+ * @param {Object} payload
+ * @returns {Promise<{delivered: boolean, attempts: number, status?: number, error?: string}>}
+ */
+export async function deliverWebhook(url, payload) {
+  const body = JSON.stringify(payload);
+  let lastError = null;
+  let lastStatus;
+  
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    // Checked on every attempt: DNS may change between retries
+    const safety = await isSafeUrl(url);
+    if (!safety.safe) {
+      logger.warn('Webhook blocked by SSRF protection', { url, reason: safety.reason });
+      return { delivered: false, attempts: attempt, error: safety.reason };
+    }
+    
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': BOT_USER_AGENT,
+      'X-Webhook-Event': payload.event,
+      'X-Webhook-Timestamp': timestamp
+    };
+    if (WEBHOOK_SECRET) {
+      headers['X-Webhook-Signature'] = signPayload(body, timestamp);
+    }
+    
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    
+    try {
+      // No redirects: the target has to be the URL that passed the SSRF check
+      const res = await fetch(url, { method: 'POST', headers, body, redirect: 'manual', signal: controller.signal });
+      lastStatus = res.status;
+      
+      if (res.ok) {
+        logger.info('Webhook delivered', { url, event: payload.event, jobId: payload.jobId, status: res.status, attempt });
+        return { delivered: true, attempts: attempt, status: res.status };
+      }
+      
+      lastError = `HTTP ${res.status}`;
+      if (res.status !== 429 && res.status < 500) break;
+    } catch (err) {
+      lastError = err.name === 'AbortError' ? 'Timeout' : err.message;
+    } finally {
+      clearTimeout(timeout);
+    }
+    
+    if (attempt < MAX_ATTEMPTS) {
+      const retryDelay = RETRY_BASE_MS * Math.pow(2, attempt - 1) + Math.random() * RETRY_BASE_MS;
+      logger.warn('Webhook delivery failed, retrying', { 
+        url, 
+        jobId: payload.jobId, 
+        error: lastError, 
+        attempt, 
+        retryDelay: Math.round(retryDelay) 
+      });
+      await delay(retryDelay);
+    }
+  }
+  
+  logger.error('Webhook delivery failed', { url, event: payload.event, jobId: payload.jobId, error: lastError });
+  return { delivered: false, attempts: MAX_ATTEMPTS, status: lastStatus, error: lastError };
+}
+
+/**
+ * Notify the job's callback URL (if any) about a finished job
+ * Never throws; the outcome is logged and written to the audit log.
+ * @param {'completed'|'failed'|'cancelled'} event
+ * @param {string} jobId
+ * @param {Object} config - Job config (callbackUrl, tags, user)
+ * @param {Object} details - {stats, errors, failedReason}
+ * @returns {Promise<Object|null>} Delivery outcome, or null if no callback is configured
+ */
+export async function notifyJob(event, jobId, config = {}, details = {}) {
+  const url = resolveCallbackUrl(config);
+  if (!url) return null;
+  
+  if (!WEBHOOK_SECRET) {
+    logger.warn('WEBHOOK_SECRET not set, sending unsigned webhook', { jobId });
+  }
+  
+  try {
+    const payload = buildPayload(event, jobId, {
+      ...details,
+      tags: config.tags,
+      user: config.user
+    });
+    const outcome = await deliverWebhook(url, payload);
+    
+    await logEvent({
+      action: 'webhook-delivery',
+      user: config.user || 'anonymous',
+      jobId,
+      event,
+      host: new URL(url).hostname,
+      delivered: outcome.delivered,
+      attempts: outcome.attempts,
+      status: outcome.status,
+      error: outcome.error
+    });
+    
+    return outcome;
+  } catch (err) {
+    logger.error('Webhook notification error', { jobId, event, error: err.message });
+    return { delivered: false, attempts: 0, error: err.message };
+  }
+}
@@ -1,8 +1,6 @@
 import 'dotenv/config';
 import express from 'express';
 import multer from 'multer';
-import { parse as parseCsv } from 'csv-parse/sync';
-import { stringify as toCsv } from 'csv-stringify/sync';
 import crypto from 'node:crypto';
 import fs from 'fs';
 import path from 'path';
@@ -10,7 +8,31 @@ import { Queue } from 'bullmq';
 import Redis from 'ioredis';
 import { logger } from './lib/logger.mjs';
 import { register as metricsRegister } from './lib/metrics.mjs';
-import { validateConcurrency, validateMaxPages, sanitizeTags } from './lib/validators/url.mjs';
+import { validateConcurrency, validateMaxPages, validatePhoneRegion, validateCountryProfile, sanitizeTags, isSafeUrl } from './lib/validators/url.mjs';
+import { getCountryProfile, listCountryProfiles } from './lib/countryProfiles.mjs';
+import { DELIVERABILITY_STATUSES } from './lib/validators/deliverability.mjs';
+import { validateScoreWeights } from './lib/scoring.mjs';
+import { toAsciiHost } from './lib/idn.mjs';
+import { readUpload } from './lib/ingestion.mjs';
+import { saveJobMeta, getJobMeta, registerJob, listJobs, countRecords, readRecords, iterateRecords, parseRecordFilter } from './lib/resultStore.mjs';
+import { setControl, getControl, clearControl, resolveJobState } from './lib/jobControl.mjs';
+import { logEvent } from './lib/auditLog.mjs';
+import {
+  requireAuth, requireAdmin, canAccessJob, ensureAdmin, authenticatePassword,
+  createSession, destroySession, readCookie, sessionCookie,
+  checkLoginThrottle, recordLoginFailure, clearLoginFailures,
+  createUser, listUsers, createApiKey, listApiKeys, revokeApiKey
+} from './lib/auth.mjs';
+import {
+  EXPORT_FORMATS, ENRICHED_COLUMNS, toEnrichedRow, mapRows,
+  streamCsv, streamJson, streamNdjson, streamXlsx, validRecords
+} from './lib/exporters/index.mjs';
+import { listTemplates, getTemplate, saveTemplate, deleteTemplate, templateColumns, renderRow } from './lib/exporters/templates.mjs';
+import {
+  isConfigured as isMailchimpConfigured, listAudiences, startPush, pushJob, getPushReport,
+  MEMBER_STATUSES, DEFAULT_PUSH_OPTIONS
+} from './lib/integrations/mailchimp.mjs';
+import { resolveQuotaSubject, getLimits, setLimits, getUsage, reserveJobQuota, releaseJobQuota } from './lib/quotas.mjs';
 
 // Auto-create .env from .env.example if missing
 const envPath = path.join(process.cwd(), '.env');
@@ -43,6 +65,8 @@ try {
   if (redisConnection.status === 'ready') {
     crawlQueue = new Queue('crawl-jobs', { connection: redisConnection });
     logger.info('Queue initialized');
+    
+    await ensureAdmin(redisConnection);
   } else {
     logger.warn('Redis connected but not ready, queue not initialized');
   }
@@ -75,6 +99,233 @@ app.get('/metrics', async (_, res) => {
   }
 });
 
+// POST /api/auth/login - Start a web UI session
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    if (!redisConnection) {
+      return res.status(503).json({ error: 'Tjänsten är inte tillgänglig' });
+    }
+    
+ const { username, password } = req.body || {};
+    
+    const throttle = await checkLoginThrottle(redisConnection, username, req.ip);
+    if (!throttle.allowed) {
+      logger.warn('Login throttled', { username, ip: req.ip });
+      res.setHeader('Retry-After', throttle.retryAfter);
+      return res.status(429).json({ error: 'För många misslyckade inloggningar, försök igen senare' });
+    }
+    
+    const user = await authenticatePassword(redisConnection, username, password);
+    if (!user) {
+      await recordLoginFailure(redisConnection, username, req.ip);
+      logger.warn('Failed login', { username, ip: req.ip });
+      return res.status(401).json({ error: 'Fel användarnamn eller lösenord' });
+    }
+    await clearLoginFailures(redisConnection, user.username);
+    
+    const token = await createSession(redisConnection, user.username);
+    res.setHeader('Set-Cookie', sessionCookie(token, req.secure));
+    await logEvent({ action: 'login', user: user.username });
+    
+    res.json({ user });
+    
+  } catch (err) {
+    logger.error('Login error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
+// Everything else under /api requires an API key or a session
+app.use('/api', requireAuth(() => redisConnection));
+
+// POST /api/auth/logout - End the session
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await destroySession(redisConnection, readCookie(req));
+    res.setHeader('Set-Cookie', sessionCookie('', req.secure));
+    res.json({ ok: true });
+  } catch (err) {
+    logger.error('Logout error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
+// GET /api/auth/me - Current identity
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user, apiKey: req.apiKey ? { id: req.apiKey.id, name: req.apiKey.name } : null });
+});
+
+// GET /api/users - List users (admin)
+app.get('/api/users', requireAdmin(), async (req, res) => {
+  try {
+    res.json({ users: await listUsers(redisConnection) });
+  } catch (err) {
+    logger.error('User list error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
+// POST /api/users - Create user (admin)
+app.post('/api/users', requireAdmin(), async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    const result = await createUser(redisConnection, { username, password, role });
+    if (!result.valid) {
+      return res.status(400).json({ error: result.message });
+    }
+    
+    await logEvent({ action: 'user-created', user: req.user.username, target: result.user.username, role: result.user.role });
+    res.status(201).json({ user: result.user });
+    
+  } catch (err) {
+    logger.error('User create error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
+// GET /api/keys - List own API keys
+app.get('/api/keys', async (req, res) => {
+  try {
+    res.json({ keys: await listApiKeys(redisConnection, req.user.username) });
+  } catch (err) {
+    logger.error('Key list error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
+// POST /api/keys - Create API key (the key is only shown once)
+app.post('/api/keys', async (req, res) => {
+  try {
+    const created = await createApiKey(redisConnection, req.user.username, req.body?.name);
+    await logEvent({ action: 'api-key-created', user: req.user.username, keyId: created.id });
+    res.status(201).json(created);
+  } catch (err) {
+    logger.error('Key create error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
+// DELETE /api/keys/:id - Revoke own API key
+app.delete('/api/keys/:id', async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(redisConnection, req.user.username, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Nyckel ej funnen' });
+    }
+    
+    await logEvent({ action: 'api-key-revoked', user: req.user.username, keyId: req.params.id });
+    res.json({ ok: true });
+    
+  } catch (err) {
+    logger.error('Key revoke error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
+// GET /api/usage - Current consumption against quota limits
+app.get('/api/usage', async (req, res) => {
+  try {
+    const subject = await resolveQuotaSubject(redisConnection, req.user, req.apiKey);
+    const [limits, usage] = await Promise.all([
+      getLimits(redisConnection, subject),
+      getUsage(redisConnection, subject)
+    ]);
+    
+    res.json({
+      subject,
+      limits,
+      usage,
+      remaining: {
+        jobsToday: Math.max(0, limits.maxJobsPerDay - usage.jobsToday),
+        concurrentJobs: Math.max(0, limits.maxConcurrentJobs - usage.runningJobs),
+        pagesThisMonth: Math.max(0, limits.monthlyPageFetches - usage.pagesThisMonth)
+      }
+    });
+    
+  } catch (err) {
+    logger.error('Usage error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
+// PUT /api/quotas/:subject - Override limits for a user or API key (admin)
+app.put('/api/quotas/:subject', requireAdmin(), async (req, res) => {
+  try {
+    const result = await setLimits(redisConnection, req.params.subject, req.body || {});
+    if (!result.valid) {
+      return res.status(400).json({ error: result.message });
+    }
+    
+    await logEvent({ action: 'quota-updated', user: req.user.username, subject: req.params.subject, limits: result.limits });
+    res.json({ subject: req.params.subject, limits: result.limits });
+    
+  } catch (err) {
+    logger.error('Quota update error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
+// GET /api/country-profiles - Selectable country profiles
+app.get('/api/country-profiles', (req, res) => {
+  res.json({ profiles: listCountryProfiles() });
+});
+
+// GET /api/export-templates - Built-in and saved export templates
+app.get('/api/export-templates', async (req, res) => {
+  try {
+    res.json({ templates: await listTemplates(redisConnection) });
+  } catch (err) {
+    logger.error('Template list error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
+// POST /api/export-templates - Create or replace a saved template
+app.post('/api/export-templates', async (req, res) => {
+  try {
+    const existing = req.body?.id ? await getTemplate(redisConnection, String(req.body.id)) : null;
+    if (existing && !existing.builtIn && existing.createdBy !== req.user.username && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Mallen tillhör en annan användare' });
+    }
+    
+    const result = await saveTemplate(redisConnection, req.body, req.user.username);
+    if (!result.valid) {
+      return res.status(400).json({ error: result.message });
+    }
+    
+    await logEvent({ action: 'export-template-saved', user: req.user.username, templateId: result.template.id });
+    res.status(existing ? 200 : 201).json({ template: result.template });
+    
+  } catch (err) {
+    logger.error('Template save error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
+// DELETE /api/export-templates/:id - Delete a saved template
+app.delete('/api/export-templates/:id', async (req, res) => {
+  try {
+    const template = await getTemplate(redisConnection, req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Mall ej funnen' });
+    }
+    if (template.builtIn) {
+      return res.status(400).json({ error: 'Inbyggda mallar kan inte tas bort' });
+    }
+    if (template.createdBy !== req.user.username && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Mallen tillhör en annan användare' });
+    }
+    
+    await deleteTemplate(redisConnection, req.params.id);
+    await logEvent({ action: 'export-template-deleted', user: req.user.username, templateId: req.params.id });
+    res.json({ ok: true });
+    
+  } catch (err) {
+    logger.error('Template delete error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
 // Example CSV download
 app.get('/example.csv', (_, res) => {
   const example = `title,website,phone
@@ -120,7 +371,12 @@ function normalizeWebsite(website, debug = false) {
       return null;
     }
     
-    const host = u.hostname.replace(/^www\./i, '').toLowerCase();
+    // ASCII (punycode) host, so "målerifirma.se" and "xn--mlerifirma-15a.se" dedup to one site
+    const host = toAsciiHost(u.hostname.replace(/^www\./i, ''));
+    if (!host) {
+      if (debug) logger.debug('normalizeWebsite: invalid hostname', { hostname: u.hostname });
+      return null;
+    }
     const result = { rootUrl: `${u.protocol}//${host}`, host };
     
     if (debug) logger.debug('normalizeWebsite: success', { input: website, result });
@@ -144,6 +400,28 @@ function pickColumn(row, candidates) {
   return null;
 }
 
+// Helper: load a job from the queue, falling back to stored metadata
+// (completed jobs are removed from the queue after 24h, results live longer).
+// Jobs owned by someone else are reported as missing unless the user is admin.
+async function loadJob(jobId, user) {
+  const [job, meta, control] = await Promise.all([
+    crawlQueue.getJob(jobId),
+    getJobMeta(redisConnection, jobId),
+    getControl(redisConnection, jobId)
+  ]);
+  if (!job && !meta) return null;
+  
+  const owner = meta?.user ?? job?.data.config.user;
+  if (!canAccessJob(user, owner)) return null;
+  
+  const queueState = job ? await job.getState() : meta.status;
+  const state = resolveJobState(queueState, meta || {}, control);
+  return { job, meta: meta || {}, state, queueState };
+}
+
+// States with downloadable results (cancelled jobs keep partial results)
+const FINISHED_STATES = new Set(['completed', 'cancelled']);
+
 // POST /api/enrich - Create crawl job
 app.post('/api/enrich', upload.single('file'), async (req, res) => {
   try {
@@ -154,97 +432,50 @@ app.post('/api/enrich', upload.single('file'), async (req, res) => {
     }
     
     // Validate inputs
-    const { concurrency, maxPagesPerSite, tags } = req.body;
+    const { concurrency, maxPagesPerSite, tags, callbackUrl, phoneRegion, countryProfile, scoreWeights } = req.body;
     const concValidation = validateConcurrency(concurrency);
     const maxPagesValidation = validateMaxPages(maxPagesPerSite);
+    const regionValidation = validatePhoneRegion(phoneRegion);
+    const profileValidation = validateCountryProfile(countryProfile);
+    const weightsValidation = validateScoreWeights(scoreWeights);
     const sanitizedTags = sanitizeTags(tags);
     
-    if (!concValidation.valid || !maxPagesValidation.valid) {
+    if (!concValidation.valid || !maxPagesValidation.valid || !regionValidation.valid || !profileValidation.valid || !weightsValidation.valid) {
       return res.status(400).json({
         error: 'Ogiltiga inställningar',
         details: {
           concurrency: concValidation.message,
-          maxPages: maxPagesValidation.message
+          maxPages: maxPagesValidation.message,
+          phoneRegion: regionValidation.message,
+          countryProfile: profileValidation.message,
+          scoreWeights: weightsValidation.message
         }
       });
     }
     
-    // Parse CSV
-    let raw = req.file?.buffer?.toString('utf8') ?? '';
-    if (!raw) {
-      return res.status(400).json({ error: 'Ingen fil mottagen.' });
-    }
-
-    // Fix corrupted Apify CSV format where entire rows are wrapped in quotes
-    // Corrupted format: "title,""value""...";;;;;;; 
-    // Correct format: "title","value",...
-    const lines = raw.split('\n');
-    const cleanedLines = lines.map((line, index) => {
-      if (!line.trim()) return line; // Skip empty lines
-      
-      const originalLine = line;
-      
-      // Remove trailing semicolons (corrupted format has these)
-      line = line.trimEnd().replace(/;+$/g, '');
-      
-      // Detect corrupted format:
-      // 1. Entire line wrapped in ONE pair of quotes
-      // 2. Contains escaped quotes ("") inside
-      // 3. Does NOT contain "," pattern (which indicates proper CSV fields)
-      const isCorrupted = 
-        line.startsWith('"') && 
-        line.endsWith('"') && 
-        line.includes('""') && 
-        !line.includes('","');
-      
-      if (isCorrupted) {
-        // Remove outer quotes and unescape doubled quotes
-        let unwrapped = line.slice(1, -1).replace(/""/g, '"');
-        
-        if (index < 3) {
-          logger.debug('CSV line cleaned (corrupted format)', { 
-            line: index,
-            original: originalLine.substring(0, 80),
-            cleaned: unwrapped.substring(0, 80)
-          });
-        }
-        
-        return unwrapped;
-      }
-      
-      // Return line as-is (possibly with trailing semicolons removed)
-      if (index < 3 && originalLine !== line) {
-        logger.debug('CSV line cleaned (removed trailing ;)', { 
-          line: index,
-          original: originalLine.substring(0, 80),
-          cleaned: line.substring(0, 80)
+    // Webhook target must pass the same SSRF check as crawled URLs
+    const callback = callbackUrl ? String(callbackUrl).trim() : '';
+    if (callback) {
+      const safety = await isSafeUrl(callback);
+      if (!safety.safe) {
+        return res.status(400).json({ 
+          error: 'Ogiltig webhook-URL', 
+          details: { callbackUrl: safety.reason } 
         });
       }
-      
-      return line;
-    });
+    }
     
-    raw = cleanedLines.join('\n');
+    // Parse the upload (CSV in any common encoding/delimiter, or .xlsx)
+    const parsed = await readUpload(req.file);
+    if (!parsed.valid) {
+      return res.status(400).json({ error: parsed.message });
+    }
+    const { records, report: ingestion } = parsed.value;
     
-    logger.info('CSV file processed', { 
-      totalLines: lines.length,
-      firstLineOriginal: lines[0]?.substring(0, 80),
-      firstLineCleaned: cleanedLines[0]?.substring(0, 80)
-    });
-
-    const records = parseCsv(raw, {
-      bom: true,
-      columns: true,
-      skip_empty_lines: true,
-      delimiter: ',',
-      relax_column_count: true,
-      skip_records_with_empty_values: false
-    });
-
     if (!records.length) {
       return res.status(400).json({ error: 'CSV: inga rader.' });
     }
-
+    
     // Find columns
     const first = records[0];
     const websiteCol = pickColumn(first, ['website', 'webb', 'hemsida', 'url', 'site', 'domän', 'domain', 'www', 'web', 'link']);
@@ -278,7 +509,8 @@ app.post('/api/enrich', upload.single('file'), async (req, res) => {
       if (n) {
         sites.push({ 
           ...n, 
-          companyName: companyCol ? String(r[companyCol] || '').trim() : '' 
+          companyName: companyCol ? String(r[companyCol] || '').trim() : '',
+          input: r // original row, available to export templates
         });
       } else {
         errors.push({
@@ -303,7 +535,7 @@ app.post('/api/enrich', upload.single('file'), async (req, res) => {
       byHost.set(s.host, s);
     }
     const uniqueSites = [...byHost.values()];
-
+    
     if (uniqueSites.length === 0) {
       return res.status(400).json({ 
         error: 'Inga giltiga webbplatser hittades i CSV:n',
@@ -311,40 +543,88 @@ app.post('/api/enrich', upload.single('file'), async (req, res) => {
       });
     }
     
-    // Create job
     const jobId = crypto.randomUUID();
     
-    await crawlQueue.add('batch-crawl', {
-      jobId,
-      sites: uniqueSites,
-      config: {
-        concurrency: concValidation.value,
-        maxPages: maxPagesValidation.value,
+    // Quotas: the job is counted as soon as it passes
+    const quotaSubject = await resolveQuotaSubject(redisConnection, req.user, req.apiKey);
+    const quota = await reserveJobQuota(redisConnection, quotaSubject, { sites: uniqueSites.length, jobId });
+    if (!quota.allowed) {
+      logger.warn('Quota exceeded', { subject: quotaSubject, quota: quota.quota, limit: quota.limit, used: quota.used });
+      if (quota.retryAfter) res.setHeader('Retry-After', quota.retryAfter);
+      return res.status(429).json({
+        error: quota.message,
+        quota: quota.quota,
+        limit: quota.limit,
+        used: quota.used
+      });
+    }
+    
+    // Create job: metadata and history entry first, so the worker's status
+    // updates always land on top of them
+    try {
+      await registerJob(redisConnection, jobId, {
+        status: 'queued',
+        createdAt: new Date().toISOString(),
+        fileName: req.file.originalname,
+        sites: uniqueSites.length,
         tags: sanitizedTags,
-        user: 'anonymous' // TODO: Add auth
-      }
-    }, {
+        user: req.user.username
+      });
+      
+      await crawlQueue.add('batch-crawl', {
+        jobId,
+        sites: uniqueSites,
+        config: {
+          concurrency: concValidation.value,
+          maxPages: maxPagesValidation.value,
+          phoneRegion: regionValidation.value,
+          countryProfile: getCountryProfile(profileValidation.value).id,
+          scoreWeights: weightsValidation.value,
+          tags: sanitizedTags,
+          callbackUrl: callback || undefined,
+          user: req.user.username,
+          quotaSubject
+        }
+      }, {
+        jobId,
+        attempts: 3,
+        backoff: {
+          type: 'exponential',
+          delay: 2000
+        },
+        removeOnComplete: {
+          age: 3600 * 24 // Keep completed jobs for 24h
+        },
+        removeOnFail: {
+          age: 3600 * 24 * 7 // Keep failed jobs for 7 days
+        }
+      });
+    } catch (err) {
+      await releaseJobQuota(redisConnection, quotaSubject, jobId);
+      await saveJobMeta(redisConnection, jobId, {
+        status: 'failed',
+        failedReason: 'Jobbet kunde inte köas',
+        finishedAt: new Date().toISOString()
+      }).catch(() => {});
+      throw err;
+    }
+    
+    logger.info('Job created', { jobId, sites: uniqueSites.length, user: req.user.username });
+    await logEvent({
+      action: 'job-created',
+      user: req.user.username,
       jobId,
-      attempts: 3,
-      backoff: {
-        type: 'exponential',
-        delay: 2000
-      },
-      removeOnComplete: {
-        age: 3600 * 24 // Keep completed jobs for 24h
-      },
-      removeOnFail: {
-        age: 3600 * 24 * 7 // Keep failed jobs for 7 days
-      }
+      sites: uniqueSites.length,
+      fileName: req.file.originalname,
+      apiKey: req.apiKey?.id
     });
     
-    logger.info('Job created', { jobId, sites: uniqueSites.length });
-    
     res.json({
       jobId,
       status: 'queued',
       sites: uniqueSites.length,
       estimatedDuration: uniqueSites.length * 2, // ~2 seconds per site
+      ingestion,
       errors: errors.length > 0 ? errors : undefined
     });
     
@@ -354,6 +634,69 @@ app.post('/api/enrich', upload.single('file'), async (req, res) => {
   }
 });
 
+// GET /api/jobs - List recent jobs
+app.get('/api/jobs', async (req, res) => {
+  try {
+    if (!crawlQueue) {
+      return res.status(503).json({ error: 'Tjänsten är inte tillgänglig' });
+    }
+    
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({ error: 'Ogiltigt datum (använd ÅÅÅÅ-MM-DD)' });
+    }
+    // A bare date as upper bound means "through the end of that day"
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+    
+    const limit = req.query.limit ? Number(req.query.limit) : 50;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ error: 'limit måste vara mellan 1-200' });
+    }
+    
+    // Admins see every job, others only their own
+    const user = req.user.role === 'admin' ? null : req.user.username;
+    // State depends on the control key, so it is resolved while paging and
+    // the state filter applies before the limit
+    const states = new Map();
+    const metas = await listJobs(redisConnection, {
+      from,
+      to,
+      limit,
+      user,
+      filter: async (meta) => {
+        const control = await getControl(redisConnection, meta.jobId);
+        const state = resolveJobState(meta.status, meta, control);
+        states.set(meta.jobId, state);
+        return !req.query.state || state === req.query.state;
+      }
+    });
+    
+    const jobs = metas
+      .map(meta => ({
+        jobId: meta.jobId,
+        state: states.get(meta.jobId),
+        fileName: meta.fileName || null,
+        sites: meta.sites || 0,
+        records: meta.records,
+        tags: meta.tags || '',
+        user: meta.user || 'anonymous',
+        createdAt: meta.createdAt,
+        startedAt: meta.startedAt || null,
+        finishedAt: meta.finishedAt || null,
+        failedReason: meta.failedReason || undefined
+      }));
+    
+    res.json({ jobs });
+    
+  } catch (err) {
+    logger.error('Job list error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
 // GET /api/jobs/:id - Get job status
 app.get('/api/jobs/:id', async (req, res) => {
   try {
@@ -361,25 +704,31 @@ app.get('/api/jobs/:id', async (req, res) => {
       return res.status(503).json({ error: 'Tjänsten är inte tillgänglig' });
     }
     
-    const job = await crawlQueue.getJob(req.params.id);
-    if (!job) {
+    const loaded = await loadJob(req.params.id, req.user);
+    if (!loaded) {
       return res.status(404).json({ error: 'Jobb ej funnet' });
     }
     
-    const state = await job.getState();
-    const progress = job.progress || { percentage: 0 };
+    const { job, meta, state } = loaded;
+    const progress = job?.progress || { percentage: state === 'completed' ? 100 : 0 };
     
     res.json({
-      jobId: job.id,
+      jobId: req.params.id,
       state,
       progress: progress.percentage || 0,
       current: progress.current,
+      active: progress.active || [],
       stats: {
         processed: progress.processed || 0,
-        total: progress.total || 0,
+        total: progress.total || meta.sites || 0,
         found: progress.found || 0
       },
-      result: state === 'completed' ? job.returnvalue : undefined
+      // Records are paged through /api/jobs/:id/records
+      result: FINISHED_STATES.has(state) ? {
+        stats: meta.stats,
+        errors: meta.errors || []
+      } : undefined,
+      failedReason: state === 'failed' ? (job?.failedReason || meta.failedReason) : undefined
     });
     
   } catch (err) {
@@ -388,6 +737,49 @@ app.get('/api/jobs/:id', async (req, res) => {
   }
 });
 
+// GET /api/jobs/:id/records - Page through stored records
+app.get('/api/jobs/:id/records', async (req, res) => {
+  try {
+    if (!crawlQueue) {
+      return res.status(503).json({ error: 'Tjänsten är inte tillgänglig' });
+    }
+    
+    const loaded = await loadJob(req.params.id, req.user);
+    if (!loaded) {
+      return res.status(404).json({ error: 'Jobb ej funnet' });
+    }
+    
+    const cursor = req.query.cursor ? Number(req.query.cursor) : 0;
+    const limit = req.query.limit ? Number(req.query.limit) : 100;
+    if (!Number.isInteger(cursor) || cursor < 0) {
+      return res.status(400).json({ error: 'Ogiltig cursor' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: 'limit måste vara mellan 1-1000' });
+    }
+    
+    const filter = parseRecordFilter(req.query.filter);
+    if (!filter.valid) {
+      return res.status(400).json({ error: filter.message });
+    }
+    
+    const [page, total] = await Promise.all([
+      readRecords(redisConnection, req.params.id, { cursor, limit, filter: filter.value }),
+      countRecords(redisConnection, req.params.id)
+    ]);
+    
+    res.json({
+      records: page.records,
+      nextCursor: page.nextCursor,
+      total
+    });
+    
+  } catch (err) {
+    logger.error('Records error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
 // GET /api/jobs/:id/progress - SSE for real-time updates
 app.get('/api/jobs/:id/progress', async (req, res) => {
   res.setHeader('Content-Type', 'text/event-stream');
@@ -403,19 +795,20 @@ app.get('/api/jobs/:id/progress', async (req, res) => {
         return false;
       }
       
-      const job = await crawlQueue.getJob(jobId);
-      if (!job) {
+      const loaded = await loadJob(jobId, req.user);
+      if (!loaded) {
         res.write('event: error\ndata: {"error": "Job not found"}\n\n');
         return false;
       }
       
-      const state = await job.getState();
-      const progress = job.progress || { percentage: 0 };
+      const { job, state } = loaded;
+      const progress = job?.progress || { percentage: 0 };
       
       const data = {
         state,
         progress: progress.percentage || 0,
         current: progress.current,
+        active: progress.active || [],
         stats: {
           processed: progress.processed || 0,
           total: progress.total || 0,
@@ -425,7 +818,7 @@ app.get('/api/jobs/:id/progress', async (req, res) => {
       
       res.write(`data: ${JSON.stringify(data)}\n\n`);
       
-      return state === 'completed' || state === 'failed';
+      return FINISHED_STATES.has(state) || state === 'failed';
     } catch (err) {
       logger.error('SSE error', { error: err.message });
       res.write('event: error\ndata: {"error": "Internal error"}\n\n');
@@ -447,75 +840,269 @@ app.get('/api/jobs/:id/progress', async (req, res) => {
   });
 });
 
-// GET /api/jobs/:id/export - Export results as CSV
+// POST /api/jobs/:id/cancel - Stop a job, keeping results crawled so far
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+  try {
+    if (!crawlQueue) {
+      return res.status(503).json({ error: 'Tjänsten är inte tillgänglig' });
+    }
+    
+    const loaded = await loadJob(req.params.id, req.user);
+    if (!loaded) {
+      return res.status(404).json({ error: 'Jobb ej funnet' });
+    }
+    
+    if (FINISHED_STATES.has(loaded.state) || loaded.state === 'failed') {
+      return res.status(409).json({ error: 'Jobbet är redan avslutat', state: loaded.state });
+    }
+    
+    await setControl(redisConnection, req.params.id, 'cancel');
+    
+    // A paused job sits delayed; wake it so the worker can finish it off
+    if (loaded.queueState === 'delayed') await loaded.job.promote();
+    
+    logger.info('Job cancel requested', { jobId: req.params.id });
+    await logEvent({ action: 'job-cancel', user: req.user.username, jobId: req.params.id });
+    res.json({ jobId: req.params.id, state: 'cancelling' });
+    
+  } catch (err) {
+    logger.error('Cancel error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
+// POST /api/jobs/:id/pause - Pause a job between sites
+app.post('/api/jobs/:id/pause', async (req, res) => {
+  try {
+    if (!crawlQueue) {
+      return res.status(503).json({ error: 'Tjänsten är inte tillgänglig' });
+    }
+    
+    const loaded = await loadJob(req.params.id, req.user);
+    if (!loaded) {
+      return res.status(404).json({ error: 'Jobb ej funnet' });
+    }
+    
+    if (!['active', 'waiting', 'delayed', 'prioritized'].includes(loaded.state)) {
+      return res.status(409).json({ error: 'Jobbet kan inte pausas', state: loaded.state });
+    }
+    
+    await setControl(redisConnection, req.params.id, 'pause');
+    
+    logger.info('Job pause requested', { jobId: req.params.id });
+    await logEvent({ action: 'job-pause', user: req.user.username, jobId: req.params.id });
+    res.json({ jobId: req.params.id, state: loaded.state === 'active' ? 'pausing' : 'paused' });
+    
+  } catch (err) {
+    logger.error('Pause error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
+// POST /api/jobs/:id/resume - Resume a paused job
+app.post('/api/jobs/:id/resume', async (req, res) => {
+  try {
+    if (!crawlQueue) {
+      return res.status(503).json({ error: 'Tjänsten är inte tillgänglig' });
+    }
+    
+    const loaded = await loadJob(req.params.id, req.user);
+    if (!loaded) {
+      return res.status(404).json({ error: 'Jobb ej funnet' });
+    }
+    
+    if (loaded.state !== 'paused' && loaded.state !== 'pausing') {
+      return res.status(409).json({ error: 'Jobbet är inte pausat', state: loaded.state });
+    }
+    
+    await clearControl(redisConnection, req.params.id);
+    if (loaded.queueState === 'delayed') {
+      await loaded.job.promote();
+      await saveJobMeta(redisConnection, req.params.id, { status: 'queued' });
+    }
+    
+    logger.info('Job resumed', { jobId: req.params.id });
+    await logEvent({ action: 'job-resume', user: req.user.username, jobId: req.params.id });
+    res.json({ jobId: req.params.id, state: loaded.queueState === 'delayed' ? 'waiting' : loaded.queueState });
+    
+  } catch (err) {
+    logger.error('Resume error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
+// GET /api/integrations/mailchimp/audiences - Audiences the Mailchimp API key can write to
+app.get('/api/integrations/mailchimp/audiences', async (req, res) => {
+  try {
+    if (!isMailchimpConfigured()) {
+      return res.status(503).json({ error: 'Mailchimp är inte konfigurerat (MAILCHIMP_API_KEY)' });
+    }
+    res.json({ audiences: await listAudiences() });
+  } catch (err) {
+    logger.error('Mailchimp audience list error', { error: err.message });
+    res.status(502).json({ error: `Mailchimp: ${err.message}` });
+  }
+});
+
+// POST /api/jobs/:id/integrations/mailchimp - Push records to a Mailchimp audience
+app.post('/api/jobs/:id/integrations/mailchimp', async (req, res) => {
+  try {
+    if (!crawlQueue) {
+      return res.status(503).json({ error: 'Tjänsten är inte tillgänglig' });
+    }
+    if (!isMailchimpConfigured()) {
+      return res.status(503).json({ error: 'Mailchimp är inte konfigurerat (MAILCHIMP_API_KEY)' });
+    }
+    
+    const loaded = await loadJob(req.params.id, req.user);
+    if (!loaded) {
+      return res.status(404).json({ error: 'Jobb ej funnet' });
+    }
+    if (!FINISHED_STATES.has(loaded.state)) {
+      return res.status(400).json({ error: 'Jobbet är inte klart än' });
+    }
+    
+    const { listId, minConfidence, status, updateExisting } = req.body || {};
+    if (!/^[a-z0-9]{1,32}$/i.test(listId || '')) {
+      return res.status(400).json({ error: 'Ogiltigt audience-id (listId)' });
+    }
+    const threshold = minConfidence === undefined ? DEFAULT_PUSH_OPTIONS.minConfidence : Number(minConfidence);
+    if (!(threshold >= 0 && threshold <= 1)) {
+      return res.status(400).json({ error: 'minConfidence måste vara mellan 0 och 1' });
+    }
+    const memberStatus = status || DEFAULT_PUSH_OPTIONS.status;
+    if (!MEMBER_STATUSES.includes(memberStatus)) {
+      return res.status(400).json({ error: `status måste vara ${MEMBER_STATUSES.join(', ')}` });
+    }
+    
+    const report = await startPush(redisConnection, req.params.id, {
+      listId,
+      minConfidence: threshold,
+      status: memberStatus,
+      user: req.user.username
+    });
+    if (!report) {
+      return res.status(409).json({ error: 'En Mailchimp-överföring pågår redan för jobbet' });
+    }
+    
+    const tags = loaded.meta.tags ?? loaded.job?.data.config.tags ?? '';
+    const jobId = req.params.id;
+    
+    // Runs in the background; progress and outcome are read from the report
+    pushJob(redisConnection, jobId, report, { tags, updateExisting: updateExisting !== false })
+      .then(({ status, listId, totals, finishedAt }) => 
+        saveJobMeta(redisConnection, jobId, { mailchimp: { status, listId, totals, finishedAt } }))
+      .catch(err => logger.error('Mailchimp push error', { jobId, error: err.message }));
+    
+    await logEvent({ action: 'mailchimp-push', user: req.user.username, jobId, listId, minConfidence: threshold });
+    res.status(202).json({ jobId, status: 'running', listId });
+    
+  } catch (err) {
+    logger.error('Mailchimp push start error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
+// GET /api/jobs/:id/integrations/mailchimp - Push report with per-member outcome
+app.get('/api/jobs/:id/integrations/mailchimp', async (req, res) => {
+  try {
+    if (!crawlQueue) {
+      return res.status(503).json({ error: 'Tjänsten är inte tillgänglig' });
+    }
+    
+    const loaded = await loadJob(req.params.id, req.user);
+    if (!loaded) {
+      return res.status(404).json({ error: 'Jobb ej funnet' });
+    }
+    
+    const report = await getPushReport(redisConnection, req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Ingen Mailchimp-överföring för jobbet' });
+    }
+    res.json(report);
+    
+  } catch (err) {
+    logger.error('Mailchimp report error', { error: err.message });
+    res.status(500).json({ error: 'Något gick fel' });
+  }
+});
+
+// GET /api/jobs/:id/export - Export results as CSV (streamed from the result store)
 app.get('/api/jobs/:id/export', async (req, res) => {
   try {
     if (!crawlQueue) {
       return res.status(503).json({ error: 'Tjänsten är inte tillgänglig' });
     }
     
-    const job = await crawlQueue.getJob(req.params.id);
-    if (!job) {
+    const loaded = await loadJob(req.params.id, req.user);
+    if (!loaded) {
       return res.status(404).json({ error: 'Jobb ej funnet' });
     }
     
-    const state = await job.getState();
-    if (state !== 'completed') {
+    if (!FINISHED_STATES.has(loaded.state)) {
       return res.status(400).json({ error: 'Jobbet är inte klart än' });
     }
     
-    const { records } = job.returnvalue;
-    const format = req.query.format || 'enriched';
+    // A template export is always CSV; format=mailchimp is the built-in Mailchimp template
+    const format = req.query.template ? 'template' : (req.query.format || 'enriched');
+    if (format !== 'template' && !EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Okänt exportformat (${EXPORT_FORMATS.join(', ')})` });
+    }
+    
+    const templateId = format === 'mailchimp' ? 'mailchimp' : req.query.template;
+    const template = templateId ? await getTemplate(redisConnection, templateId) : null;
+    if (templateId && !template) {
+      return res.status(400).json({ error: `Exportmall saknas: ${templateId}` });
+    }
+    
+    const parsedFilter = parseRecordFilter(req.query.filter);
+    if (!parsedFilter.valid) {
+      return res.status(400).json({ error: parsedFilter.message });
+    }
     
     // Filter records for high quality export
-    let exportRecords = records;
+    const filter = { ...parsedFilter.value };
     if (format === 'highquality') {
-      exportRecords = records.filter(r => r.confidence >= 0.8);
-    }
-    
-    if (format === 'mailchimp') {
-      // Mailchimp format
-      const rows = exportRecords.map(r => ({
-        'Email Address': r.email,
-        'First Name': '',
-        'Last Name': '',
-        'Company': r.domain,
-        'Phone Number': r.phone || '',
-        'Website': r.sourceUrl,
-        'Tags': job.data.config.tags || ''
-      }));
-      
-      const csv = toCsv(rows, { header: true });
-      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-      res.setHeader('Content-Disposition', 'attachment; filename="mailchimp.csv"');
-      res.send(csv);
-      
-    } else {
-      // Enriched format (or high quality)
-      const rows = exportRecords.map(r => ({
-        'Email': r.email,
-        'Email Type': r.emailType,
-        'Confidence': Math.round(r.confidence * 100) + '%',
-        'Domain': r.domain,
-        'Phone': r.phone || '',
-        'Discovery Path': r.discoveryPath,
-        'Contact Page': r.contactPage || '',
-        'LinkedIn': r.social?.linkedin || '',
-        'Facebook': r.social?.facebook || '',
-        'Twitter/X': r.social?.x || '',
-        'Source URL': r.sourceUrl,
-        'Timestamp': r.timestamp
-      }));
-      
-      const csv = toCsv(rows, { header: true });
-      const filename = format === 'highquality' ? 'high-quality.csv' : 'enriched.csv';
-      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-      res.send(csv);
+      filter.minConfidence = Math.max(filter.minConfidence ?? 0, 0.8);
+      filter.deliverability ??= DELIVERABILITY_STATUSES.filter(s => s !== 'invalid');
+    }
+    
+    await logEvent({ action: 'export', user: req.user.username, jobId: req.params.id, format, template: templateId, filter });
+    
+    const records = validRecords(iterateRecords(redisConnection, req.params.id, { filter }), {
+      jobId: req.params.id,
+      format: templateId || format
+    });
+    const tags = loaded.meta.tags ?? loaded.job?.data.config.tags ?? '';
+    
+    if (template) {
+      const rows = mapRows(records, r => renderRow(template, r, { id: req.params.id, tags }));
+      return await streamCsv(res, `${template.id}.csv`, templateColumns(template), rows);
+    }
+    
+    switch (format) {
+      case 'json':
+        await streamJson(res, 'records.json', records);
+        break;
+      case 'ndjson':
+        await streamNdjson(res, 'records.ndjson', records);
+        break;
+      case 'xlsx':
+        await streamXlsx(res, 'enriched.xlsx', records, {
+          sites: loaded.meta.pages,
+          errors: loaded.meta.errors
+        });
+        break;
+      default: {
+        // Enriched format (or high quality)
+        const filename = format === 'highquality' ? 'high-quality.csv' : 'enriched.csv';
+        await streamCsv(res, filename, ENRICHED_COLUMNS, mapRows(records, toEnrichedRow));
+      }
     }
     
   } catch (err) {
     logger.error('Export error', { error: err.message });
+    if (res.headersSent) return res.destroy(err);
     res.status(500).json({ error: 'Något gick fel' });
   }
 });
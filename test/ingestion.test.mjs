@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { detectEncoding, sniffDelimiter, repairCsv, readUpload } from '../lib/ingestion.mjs';
+
+const SWEDISH = 'Företag;Hemsida\nSöderlinds Måleri;soderlinds.se\n';
+
+function utf16be(text) {
+  return Buffer.from(text, 'utf16le').swap16();
+}
+
+test('detectEncoding: byte order marks win', () => {
+  assert.deepEqual(detectEncoding(Buffer.from([0xef, 0xbb, 0xbf, 0x61])), { encoding: 'utf-8', bom: 3 });
+  assert.deepEqual(detectEncoding(Buffer.from([0xff, 0xfe, 0x61, 0x00])), { encoding: 'utf-16le', bom: 2 });
+  assert.deepEqual(detectEncoding(Buffer.from([0xfe, 0xff, 0x00, 0x61])), { encoding: 'utf-16be', bom: 2 });
+});
+
+test('detectEncoding: UTF-16 without BOM is found from NUL bytes', () => {
+  assert.equal(detectEncoding(Buffer.from(SWEDISH, 'utf16le')).encoding, 'utf-16le');
+  assert.equal(detectEncoding(utf16be(SWEDISH)).encoding, 'utf-16be');
+});
+
+test('detectEncoding: valid UTF-8, otherwise Windows-1252', () => {
+  assert.deepEqual(detectEncoding(Buffer.from(SWEDISH)), { encoding: 'utf-8', bom: 0 });
+  assert.deepEqual(detectEncoding(Buffer.from(SWEDISH, 'latin1')), { encoding: 'windows-1252', bom: 0 });
+});
+
+test('sniffDelimiter: picks the delimiter that splits rows like the header', () => {
+  assert.equal(sniffDelimiter('a,b,c\n1,2,3'), ',');
+  assert.equal(sniffDelimiter('a;b;c\n1;2;3'), ';');
+  assert.equal(sniffDelimiter('a\tb\n1\t2'), '\t');
+  assert.equal(sniffDelimiter('a|b\n1|2'), '|');
+  assert.equal(sniffDelimiter(''), ',');
+});
+
+test('sniffDelimiter: delimiters inside quotes are ignored', () => {
+  assert.equal(sniffDelimiter('namn;adress\n"Acme, AB";"Väg 1, Lund"\n"Bo";"Gata 2"'), ';');
+});
+
+test('sniffDelimiter: ties go to the delimiter giving more fields', () => {
+  assert.equal(sniffDelimiter('a,b;c;d\n1,2;3;4'), ';');
+});
+
+test('repairCsv: unwraps Apify rows and their header', () => {
+  const text = '"title,website,phone";;;;;;\n"Acme ""AB"",acme.se,08-1";;;;\n"Bo,bo.se,08-2";;;';
+  const repaired = repairCsv(text);
+  assert.equal(repaired.delimiter, ',');
+  assert.equal(repaired.unwrappedLines, 3);
+  assert.equal(repaired.text, 'title,website,phone\nAcme "AB",acme.se,08-1\nBo,bo.se,08-2');
+});
+
+test('repairCsv: trims semicolon padding from comma files', () => {
+  const repaired = repairCsv('title,website;;;\nAcme,acme.se;;;');
+  assert.equal(repaired.delimiter, ',');
+  assert.equal(repaired.trimmedLines, 2);
+  assert.equal(repaired.text, 'title,website\nAcme,acme.se');
+});
+
+test('repairCsv: semicolon files keep their empty trailing fields', () => {
+  const text = 'namn;hemsida;telefon\nAcme;acme.se;;\nBo;;;';
+  const repaired = repairCsv(text);
+  assert.equal(repaired.delimiter, ';');
+  assert.equal(repaired.trimmedLines, 0);
+  assert.equal(repaired.text, text);
+});
+
+test('readUpload: Windows-1252 semicolon CSV from Excel', async () => {
+  const result = await readUpload({ buffer: Buffer.from(SWEDISH, 'latin1'), originalname: 'lista.csv' });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.value.records, [{ 'Företag': 'Söderlinds Måleri', 'Hemsida': 'soderlinds.se' }]);
+  assert.deepEqual(result.value.report, {
+    format: 'csv',
+    encoding: 'windows-1252',
+    delimiter: ';',
+    rows: 1,
+    repairs: { unwrappedLines: 0, trimmedLines: 0 }
+  });
+});
+
+test('readUpload: .xlsx reads the first sheet with content', async () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Tom');
+  const sheet = workbook.addWorksheet('Blad1');
+  sheet.addRow(['Företag', 'Hemsida']);
+  sheet.addRow(['Bo', { text: 'bo.se', hyperlink: 'https://bo.se' }]);
+  const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+  
+  const result = await readUpload({ buffer, originalname: 'lista.xlsx' });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.value.records, [{ 'Företag': 'Bo', 'Hemsida': 'bo.se' }]);
+  assert.deepEqual(result.value.report, { format: 'xlsx', sheet: 'Blad1', rows: 1 });
+});
+
+test('readUpload: rejects empty files and legacy .xls', async () => {
+  assert.equal((await readUpload({ buffer: Buffer.alloc(0) })).valid, false);
+  assert.equal((await readUpload(undefined)).valid, false);
+  
+  const xls = await readUpload({ buffer: Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0, 0]), originalname: 'gammal.xls' });
+  assert.equal(xls.valid, false);
+  assert.match(xls.message, /\.xls/);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { decodeJsEscapes, decodeCloudflareEmail, visibleText, extractObfuscatedEmails } from '../lib/extractors/obfuscation.mjs';
+import { extractContacts } from '../lib/extractors/index.mjs';
+
+function cloudflareToken(email, key = 0x42) {
+  const bytes = [key, ...Buffer.from(email).map(b => b ^ key)];
+  return bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function decode(html) {
+  return extractObfuscatedEmails(cheerio.load(html), html).map(({ email, source }) => `${source} ${email}`);
+}
+
+test('decodeJsEscapes', () => {
+  assert.equal(decodeJsEscapes('info\\x40firma.se'), 'info@firma.se');
+  assert.equal(decodeJsEscapes('\\u003cinfo\\u0040firma.se\\u003e'), '<info@firma.se>');
+  assert.equal(decodeJsEscapes('info\\u{40}firma.se'), 'info@firma.se');
+  assert.equal(decodeJsEscapes('https:\\/\\/firma.se'), 'https://firma.se');
+});
+
+test('decodeJsEscapes: out-of-range code points do not throw', () => {
+  assert.doesNotThrow(() => decodeJsEscapes('\\u{110000}'));
+});
+
+test('decodeCloudflareEmail', () => {
+  assert.equal(decodeCloudflareEmail(cloudflareToken('info@firma.se')), 'info@firma.se');
+  assert.equal(decodeCloudflareEmail('zz'), null);
+  assert.equal(decodeCloudflareEmail(undefined), null);
+});
+
+test('cloudflare: data-cfemail and protection links', () => {
+  const token = cloudflareToken('info@firma.se');
+  assert.deepEqual(decode(`<body><span class="__cf_email__" data-cfemail="${token}">[email protected]</span></body>`), ['cloudflare info@firma.se']);
+  assert.deepEqual(decode(`<body><a href="/cdn-cgi/l/email-protection#${token}">Mejla</a></body>`), ['cloudflare info@firma.se']);
+});
+
+test('mailto-urlencoded', () => {
+  assert.deepEqual(decode('<body><a href="mailto:info%40firma.se?subject=Hej">Mejla</a></body>'), ['mailto-urlencoded info@firma.se']);
+  assert.deepEqual(decode('<body><a href="mailto:info%E0%A4%A@firma.se">x</a></body>'), []);
+});
+
+test('html-entities', () => {
+  const html = '<body><p>&#105;&#110;&#102;&#111;&#64;&#x66;irma&period;se</p></body>';
+  assert.deepEqual(decode(html).filter(e => e.startsWith('html-entities')), ['html-entities info@firma.se']);
+});
+
+test('html-entities: out-of-range code points do not throw', () => {
+  assert.doesNotThrow(() => decode('<body><p>&#x110000;&#99999999999;info&#64;firma.se</p></body>'));
+});
+
+test('obfuscated-text', () => {
+  assert.deepEqual(decode('<body><p>info [at] firma [punkt] se</p></body>'), ['obfuscated-text info@firma.se']);
+  assert.deepEqual(decode('<body><p>Mejla info(a)firma.se</p></body>'), ['obfuscated-text info@firma.se']);
+  assert.deepEqual(decode('<body><p>anna {at} firma (dot) co (dot) uk</p></body>'), ['obfuscated-text anna@firma.co.uk']);
+  // Plain addresses are left to the inline extractor
+  assert.deepEqual(decode('<body><p>info@firma.se</p></body>'), []);
+});
+
+test('obfuscated-text: an address at the end of a block element', () => {
+  assert.deepEqual(decode('<body><p>info [at] firma [punkt] se</p><p>Telefon 08-123 45 67</p></body>'), ['obfuscated-text info@firma.se']);
+  assert.deepEqual(decode('<body><div>info [at] firma [punkt] se<br>Storgatan 1</div></body>'), ['obfuscated-text info@firma.se']);
+});
+
+test('javascript: concatenation, escapes and fromCharCode', () => {
+  assert.deepEqual(decode(`<body><script>var u = 'info'; var d = 'firma.se'; document.write(u + '@' + d);</script></body>`), ['javascript info@firma.se']);
+  assert.deepEqual(decode(`<body><script>var e = "info\\x40firma.se";</script></body>`), ['javascript info@firma.se']);
+  assert.deepEqual(decode('<body><script>String.fromCharCode(105,64,102,46,115,101)</script></body>'), ['javascript i@f.se']);
+  // Unknown identifiers are not guessed
+  assert.deepEqual(decode(`<body><script>x = user + '@firma' + tld;</script></body>`), []);
+});
+
+test('visibleText: skips scripts and separates blocks', () => {
+  const $ = cheerio.load('<body><p>a@b.se</p><p>Telefon</p><script>var x = 1;</script><span>in</span><b>line</b></body>');
+  const text = visibleText($);
+  assert.doesNotMatch(text, /var x/);
+  assert.doesNotMatch(text, /seTelefon/);
+  assert.match(text, /inline/);
+});
+
+test('extractContacts: inline address at the end of a block element', () => {
+  const html = '<body><p>Mejla kontakt@firma.se</p><p>Telefon 08-123 45 67</p></body>';
+  const { emails } = extractContacts(cheerio.load(html), 'https://firma.se/', 'firma.se', html);
+  assert.deepEqual(emails.filter(e => e.source === 'inline').map(e => e.email), ['kontakt@firma.se']);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { luhnValid, normalizeOrgNumber } from '../lib/validators/orgNumber.mjs';
+import { extractOrgNumbers } from '../lib/extractors/orgNumber.mjs';
+
+test('luhnValid', () => {
+  assert.equal(luhnValid('5560125790'), true);
+  assert.equal(luhnValid('5560125791'), false);
+  assert.equal(luhnValid('55601-5790'), false);
+});
+
+test('normalizeOrgNumber: accepted formats', () => {
+  for (const value of ['556012-5790', '5560125790', '556012 5790', '556012–5790', '16556012-5790', 'SE556012579001', 'se 5560125790 01']) {
+    assert.equal(normalizeOrgNumber(value), '556012-5790', value);
+  }
+  assert.equal(normalizeOrgNumber('802456-1238'), '802456-1238');
+});
+
+test('normalizeOrgNumber: rejects bad checksums, personal numbers and junk', () => {
+  assert.equal(normalizeOrgNumber('556012-5791'), null);
+  // Third digit below 2: a personal identity number, even with a valid checksum
+  assert.equal(normalizeOrgNumber('801010-1239'), null);
+  assert.equal(normalizeOrgNumber('SE556012579002'), null);
+  assert.equal(normalizeOrgNumber('55601257'), null);
+  assert.equal(normalizeOrgNumber(''), null);
+  assert.equal(normalizeOrgNumber(null), null);
+});
+
+test('extractOrgNumbers: keeps the strongest source per number', () => {
+  const $ = cheerio.load(`
+    <script type="application/ld+json">{"@type": "Organization", "vatID": "SE802456123801"}</script>
+    <footer>Org.nr 556012-5790 · Momsreg.nr SE556012579001 · Tel 08-123 45 67 · 556012-5791</footer>
+  `);
+  const found = extractOrgNumbers($);
+  assert.deepEqual(found.sort((a, b) => a.orgNumber.localeCompare(b.orgNumber)), [
+    { orgNumber: '556012-5790', source: 'vat' },
+    { orgNumber: '802456-1238', source: 'json-ld' }
+  ]);
+});
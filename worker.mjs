@@ -1,10 +1,16 @@
 import 'dotenv/config';
-import { Worker } from 'bullmq';
+import { Worker, DelayedError } from 'bullmq';
 import Redis from 'ioredis';
+import pLimit from 'p-limit';
 import { crawlSite, toContactRecords } from './lib/crawler.mjs';
 import { logger } from './lib/logger.mjs';
 import { activeJobs } from './lib/metrics.mjs';
 import { logCrawl } from './lib/auditLog.mjs';
+import { loadCheckpoints, saveCheckpoint, clearCheckpoints } from './lib/checkpoint.mjs';
+import { saveJobMeta } from './lib/resultStore.mjs';
+import { getControl, clearControl } from './lib/jobControl.mjs';
+import { notifyJob } from './lib/webhooks.mjs';
+import { recordPageFetches, recordJobEnd, isPageBudgetExhausted } from './lib/quotas.mjs';
 
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
 const connection = new Redis(REDIS_URL, { 
@@ -23,96 +29,253 @@ const connection = new Redis(REDIS_URL, {
 
 logger.info('Worker starting...', { redisUrl: REDIS_URL });
 
-const worker = new Worker('crawl-jobs', async (job) => {
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 60000;
+const PAUSE_RECHECK_MS = parseInt(process.env.PAUSE_RECHECK_MS) || 10 * 60 * 1000;
+
+// Set on SIGTERM: no new sites are started, in-flight sites finish
+let shuttingDown = false;
+
+/**
+ * Count fetched pages per origin (root, discovered, sitemap, guessed)
+ * @param {Array<{host: string, pages: Array}>} sitePages
+ * @returns {Object} Counts keyed by origin
+ */
+function countPagesByOrigin(sitePages) {
+  const counts = {};
+  for (const { pages } of sitePages) {
+    for (const page of pages) {
+      if (!page.fetched) continue;
+      counts[page.origin] = (counts[page.origin] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+const worker = new Worker('crawl-jobs', async (job, token) => {
   const { jobId, sites, config } = job.data;
-  logger.info('Job started', { jobId, sitesCount: sites.length });
+  const concurrency = config.concurrency || 1;
+  logger.info('Job started', { jobId, sitesCount: sites.length, concurrency });
   
   activeJobs.inc();
   
-  const allRecords = [];
-  const errors = [];
+  // Per-site results, indexed like `sites` so output order is stable
+  const siteResults = new Array(sites.length);
+  const inFlight = new Set();
+  let processed = 0;
+  let found = 0;
+  let stopRequest = null; // 'cancel' | 'pause' from the control key, or 'quota'
+  let failure = null; // First error that fails this attempt
+  
+  // Fetched pages count against the monthly page budget
+  const hooks = {
+    onPageFetched: () => recordPageFetches(connection, config.quotaSubject)
+  };
+  
+  // Resume: sites finished by an earlier attempt are taken from the checkpoint
+  const checkpoints = await loadCheckpoints(connection, jobId);
+  sites.forEach((site, i) => {
+    const checkpoint = checkpoints.get(site.host);
+    if (!checkpoint) return;
+    siteResults[i] = checkpoint;
+    processed++;
+    found += checkpoint.recordCount;
+  });
+  if (checkpoints.size > 0) {
+    logger.info('Resuming job from checkpoint', { jobId, finishedSites: processed });
+  }
+  
+  await saveJobMeta(connection, jobId, {
+    status: 'active',
+    startedAt: new Date().toISOString(),
+    attempt: job.attemptsMade + 1
+  });
+  
+  // Serialize progress writes so a slow update never overwrites a newer one
+  let progressChain = Promise.resolve();
+  const reportProgress = () => {
+    progressChain = progressChain
+      .then(() => job.updateProgress({
+        percentage: (processed / sites.length) * 100,
+        current: [...inFlight].at(-1) ?? null,
+        active: [...inFlight],
+        processed,
+        total: sites.length,
+        found
+      }))
+      .catch(err => logger.warn('Progress update failed', { jobId, error: err.message }));
+    return progressChain;
+  };
+  
+  const processSite = async (site, index) => {
+    if (siteResults[index] || shuttingDown || stopRequest || failure) return;
+    
+    // Cancel/pause requests are honoured between sites
+    const control = await getControl(connection, jobId);
+    if (control) {
+      stopRequest = control;
+      return;
+    }
+    if (await isPageBudgetExhausted(connection, config.quotaSubject)) {
+      logger.warn('Monthly page budget exhausted, stopping job', { jobId, subject: config.quotaSubject });
+      stopRequest = 'quota';
+      return;
+    }
+    
+    inFlight.add(site.host);
+    await reportProgress();
+    
+    let records = [];
+    try {
+      await job.log(`Processing ${site.host}...`);
+      
+      // Crawl site
+      const result = await crawlSite(site, config, connection, hooks);
+      
+      // Convert to ContactRecords
+      records = toContactRecords(result);
+      
+      // Audit log
+      await logCrawl({
+        jobId,
+        host: site.host,
+        recordsFound: records.length,
+        user: config.user || 'anonymous'
+      });
+      
+      siteResults[index] = {
+        recordCount: records.length,
+        pages: result.pages,
+        errors: result.errors
+      };
+      
+      logger.info('Site processed', { 
+        host: site.host, 
+        records: records.length,
+        emails: result.emails.size,
+        phones: result.phones.size
+      });
+      
+    } catch (err) {
+      logger.error('Failed to process site', { host: site.host, error: err.message });
+      records = [];
+      siteResults[index] = {
+        recordCount: 0,
+        pages: [],
+        errors: [{ reason: err.message }]
+      };
+    }
+    
+    try {
+      // Records go to the result store together with the checkpoint
+      await saveCheckpoint(connection, jobId, site.host, siteResults[index], records);
+      found += records.length;
+    } finally {
+      inFlight.delete(site.host);
+      processed++;
+      await reportProgress();
+    }
+  };
   
   try {
-    for (let i = 0; i < sites.length; i++) {
-      const site = sites[i];
+    // Crawl up to `concurrency` sites at once; per-host limits still apply in fetches
+    // A failed site (e.g. its checkpoint write) fails the attempt: queued sites
+    // are skipped and in-flight ones drain before the error is rethrown, so
+    // they never append records alongside the retry
+    const limit = pLimit(concurrency);
+    await Promise.all(sites.map((site, i) => limit(() => processSite(site, i)).catch((err) => {
+      failure ??= err;
+    })));
+    if (failure) throw failure;
+    
+    const unfinished = siteResults.some(result => !result);
+    
+    // Paused: park the job as delayed until resumed (the resume endpoint
+    // promotes it; the recheck only matters if that is missed)
+    if (unfinished && stopRequest === 'pause') {
+      logger.info('Job paused', { jobId, processed, total: sites.length });
+      await progressChain;
+      await saveJobMeta(connection, jobId, { status: 'paused' });
+      await job.moveToDelayed(Date.now() + PAUSE_RECHECK_MS, token);
       
-      try {
-        // Update progress
-        await job.updateProgress({
-          percentage: (i / sites.length) * 100,
-          current: site.host,
-          processed: i,
-          total: sites.length,
-          found: allRecords.length
-        });
-        
-        await job.log(`Processing ${site.host}...`);
-        
-        // Crawl site
-        const result = await crawlSite(site, config, connection);
-        
-        // Convert to ContactRecords
-        const records = toContactRecords(result);
-        allRecords.push(...records);
-        
-        // Audit log
-        await logCrawl({
-          jobId,
-          host: site.host,
-          recordsFound: records.length,
-          user: config.user || 'anonymous'
-        });
-        
-        // Track errors
-        if (result.errors.length > 0) {
-          errors.push({
-            host: site.host,
-            errors: result.errors
-          });
-        }
-        
-        logger.info('Site processed', { 
-          host: site.host, 
-          records: records.length,
-          emails: result.emails.size,
-          phones: result.phones.size
-        });
-        
-      } catch (err) {
-        logger.error('Failed to process site', { host: site.host, error: err.message });
+      // A resume (or cancel) that came in before the move found the job active
+      // and had nothing to promote; wake the job up here instead
+      if (await getControl(connection, jobId) !== 'pause') {
+        await saveJobMeta(connection, jobId, { status: 'queued' });
+        await job.promote().catch(err => logger.debug('Paused job already promoted', { jobId, error: err.message }));
+      }
+      throw new DelayedError();
+    }
+    
+    // Cancelled, or out of page budget: finish with what was crawled so far
+    const cancelled = unfinished && (stopRequest === 'cancel' || stopRequest === 'quota');
+    
+    // Interrupted by shutdown: hand the job back without using up an attempt;
+    // the next run resumes from the checkpoint
+    if (unfinished && !cancelled) {
+      logger.info('Job interrupted, re-queueing', { jobId, processed, total: sites.length });
+      await progressChain;
+      await job.moveToDelayed(Date.now(), token);
+      throw new DelayedError();
+    }
+    
+    let totalRecords = 0;
+    const errors = [];
+    const sitePages = [];
+    
+    sites.forEach((site, i) => {
+      if (!siteResults[i]) return;
+      const { recordCount, pages, errors: siteErrors } = siteResults[i];
+      totalRecords += recordCount;
+      sitePages.push({ host: site.host, pages });
+      
+      // Track errors
+      if (siteErrors.length > 0) {
         errors.push({
           host: site.host,
-          errors: [{ reason: err.message }]
+          errors: siteErrors
         });
       }
-    }
+    });
     
     // Final progress
+    await progressChain;
     await job.updateProgress({
-      percentage: 100,
+      percentage: cancelled ? (processed / sites.length) * 100 : 100,
       current: null,
-      processed: sites.length,
+      active: [],
+      processed,
       total: sites.length,
-      found: allRecords.length
+      found: totalRecords
     });
     
-    logger.info('Job completed', { 
+    logger.info(cancelled ? 'Job cancelled' : 'Job completed', { 
       jobId, 
-      totalRecords: allRecords.length,
+      totalRecords,
       totalErrors: errors.length
     });
     
-    return {
-      records: allRecords,
-      errors,
-      stats: {
-        totalSites: sites.length,
-        totalRecords: allRecords.length,
-        totalErrors: errors.length,
-        avgRecordsPerSite: allRecords.length / sites.length
-      }
+    // Records live in the result store; the return value stays small
+    const stats = {
+      totalSites: sites.length,
+      processedSites: processed,
+      totalRecords,
+      totalErrors: errors.length,
+      avgRecordsPerSite: processed > 0 ? totalRecords / processed : 0,
+      pagesByOrigin: countPagesByOrigin(sitePages)
     };
     
+    await saveJobMeta(connection, jobId, {
+      status: cancelled ? 'cancelled' : 'completed',
+      cancelReason: cancelled ? stopRequest : undefined,
+      finishedAt: new Date().toISOString(),
+      stats,
+      errors,
+      pages: sitePages
+    });
+    if (stopRequest && stopRequest !== 'quota') await clearControl(connection, jobId);
+    
+    return { cancelled, errors, stats };
+    
   } finally {
     activeJobs.dec();
   }
@@ -125,12 +288,31 @@ const worker = new Worker('crawl-jobs', async (job) => {
   }
 });
 
-worker.on('completed', (job) => {
+worker.on('completed', async (job, result) => {
   logger.info('Worker job completed', { jobId: job.id });
+  await clearCheckpoints(connection, job.id);
+  await recordJobEnd(connection, job.data.config.quotaSubject, job.id);
+  
+  const event = result?.cancelled ? 'cancelled' : 'completed';
+  const webhook = await notifyJob(event, job.id, job.data.config, result);
+  if (webhook) await saveJobMeta(connection, job.id, { webhook: { event, ...webhook } }).catch(() => {});
 });
 
-worker.on('failed', (job, err) => {
+worker.on('failed', async (job, err) => {
   logger.error('Worker job failed', { jobId: job?.id, error: err.message });
+  
+  // Only the last attempt marks the job failed; earlier ones are retried
+  if (job && job.attemptsMade >= (job.opts.attempts || 1)) {
+    await saveJobMeta(connection, job.id, {
+      status: 'failed',
+      failedReason: err.message,
+      finishedAt: new Date().toISOString()
+    }).catch(() => {});
+    await recordJobEnd(connection, job.data.config.quotaSubject, job.id);
+    
+    const webhook = await notifyJob('failed', job.id, job.data.config, { failedReason: err.message });
+    if (webhook) await saveJobMeta(connection, job.id, { webhook: { event: 'failed', ...webhook } }).catch(() => {});
+  }
 });
 
 worker.on('error', (err) => {
@@ -139,6 +321,15 @@ worker.on('error', (err) => {
 
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, closing worker...');
+  shuttingDown = true;
+  
+  // Sites still running after the timeout are abandoned; only finished
+  // sites are ever checkpointed, so the checkpoint stays consistent
+  setTimeout(() => {
+    logger.warn('Shutdown timeout reached, abandoning in-flight sites', { timeout: SHUTDOWN_TIMEOUT_MS });
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+  
   await worker.close();
   await connection.quit();
   process.exit(0);